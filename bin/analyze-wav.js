@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { decodeWav } from '../js/wav-decoder.js';
+import { analyzePCM, mixToMono } from '../js/analysis-core.js';
+import { LoudnessMeter } from '../js/loudness-meter.js';
+
+// Offline analysis of a WAV file with the same DSP the browser visualizer uses.
+// Writes { file, channels, sampleRate, fftSize, hopSize, duration, loudness, tempo, beats,
+//          frames: [{ time, volume, energy, beat, dominantFrequency, bands }] }.
+
+const USAGE = `Usage: npm run analyze -- <input.wav> [options]
+
+Options:
+  -o, --out <file>     Write JSON to a file instead of stdout
+  --fft-size <n>       FFT size, a power of two (default 2048)
+  --hop-size <n>       Samples between frames (default 1024)
+  --pretty             Indent the JSON output
+  -h, --help           Show this help`;
+
+function parseArgs(argv) {
+    const options = { input: null, out: null, fftSize: 2048, hopSize: 1024, pretty: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-o':
+            case '--out':
+                options.out = argv[++i];
+                break;
+            case '--fft-size':
+                options.fftSize = Number(argv[++i]);
+                break;
+            case '--hop-size':
+                options.hopSize = Number(argv[++i]);
+                break;
+            case '--pretty':
+                options.pretty = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') || options.input) {
+                    throw new Error(`Unexpected argument: ${arg}`);
+                }
+                options.input = arg;
+        }
+    }
+
+    const { fftSize, hopSize } = options;
+    if (!Number.isInteger(fftSize) || fftSize < 32 || (fftSize & (fftSize - 1)) !== 0) {
+        throw new Error(`--fft-size must be a power of two of at least 32, got ${fftSize}`);
+    }
+    if (!Number.isInteger(hopSize) || hopSize < 1 || hopSize > fftSize) {
+        throw new Error(`--hop-size must be between 1 and the FFT size, got ${hopSize}`);
+    }
+
+    return options;
+}
+
+// Keep the output readable and diffable between runs
+function round(value) {
+    return Math.round(value * 10000) / 10000;
+}
+
+function roundFrame({ time, volume, energy, beat, dominantFrequency, bands }) {
+    const roundedBands = {};
+    Object.entries(bands).forEach(([name, level]) => {
+        roundedBands[name] = round(level);
+    });
+
+    return {
+        time: round(time),
+        volume: round(volume),
+        energy: round(energy),
+        beat,
+        dominantFrequency: round(dominantFrequency),
+        bands: roundedBands
+    };
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.input) {
+        console.log(USAGE);
+        process.exitCode = options.help ? 0 : 1;
+        return;
+    }
+
+    const file = await readFile(options.input);
+    const wav = decodeWav(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+    const analysis = analyzePCM(mixToMono(wav.channels), wav.sampleRate, {
+        fftSize: options.fftSize,
+        hopSize: options.hopSize
+    });
+
+    // EBU R128 summary of the whole file, e.g. to check a master before release
+    const meter = new LoudnessMeter({ sampleRate: wav.sampleRate, channelCount: wav.channels.length });
+    const { integrated, range, truePeak, samplePeak, maxMomentary, maxShortTerm } = meter.process(wav.channels);
+
+    const result = {
+        file: basename(options.input),
+        channels: wav.channels.length,
+        ...analysis,
+        duration: round(analysis.duration),
+        // Non-finite readings (e.g. a silent file) serialise as null
+        loudness: {
+            integrated: round(integrated),
+            range: round(range),
+            truePeak: round(truePeak),
+            samplePeak: round(samplePeak),
+            maxMomentary: round(maxMomentary),
+            maxShortTerm: round(maxShortTerm)
+        },
+        tempo: { bpm: round(analysis.tempo.bpm), confidence: round(analysis.tempo.confidence) },
+        beats: analysis.beats.map(round),
+        frames: analysis.frames.map(roundFrame)
+    };
+
+    const json = JSON.stringify(result, null, options.pretty ? 2 : 0);
+    if (options.out) {
+        await writeFile(options.out, json + '\n');
+        console.error(`Analysed ${result.file}: ${result.frames.length} frames, ${result.beats.length} beats, ~${Math.round(result.tempo.bpm)} BPM, ${integrated.toFixed(1)} LUFS, ${truePeak.toFixed(1)} dBTP`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+}
+
+main().catch(error => {
+    console.error(`analyze-wav: ${error.message}`);
+    process.exitCode = 1;
+});
@@ -35,10 +35,18 @@ export class AIIntegration {
         return process.env.GOOGLE_AI_API_KEY || null;
     }
 
+    getMoodCacheKey(metadata) {
+        return `${metadata.title || ''}_${metadata.artist || ''}`.toLowerCase();
+    }
+
+    // Seed the cache with a mood analysed earlier, e.g. one stored in the music library
+    cacheMood(metadata, analysis) {
+        this.moodCache.set(this.getMoodCacheKey(metadata), analysis);
+    }
+
     async analyzeMood(metadata) {
         try {
-            // Create cache key
-            const cacheKey = `${metadata.title || ''}_${metadata.artist || ''}`.toLowerCase();
+            const cacheKey = this.getMoodCacheKey(metadata);
             
             // Check cache first
             if (this.moodCache.has(cacheKey)) {
@@ -0,0 +1,253 @@
+import { AudioUtils } from './utils.js';
+import { TempoTracker } from './tempo-tracker.js';
+
+// Pure signal processing behind AudioAnalyzer, free of Web Audio so it also runs in Node and
+// in the AudioWorklet. Time-domain frames are Float32Array PCM (-1..1); spectra use the
+// AnalyserNode byte scale (0-255).
+
+// RMS level of a PCM frame
+export function calculateVolume(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+        sum += samples[i] * samples[i];
+    }
+    return samples.length ? Math.sqrt(sum / samples.length) : 0;
+}
+
+export function calculatePeak(samples) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    return peak;
+}
+
+// Mean squared spectrum level, 0-1
+export function calculateEnergy(spectrum) {
+    let sum = 0;
+    for (let i = 0; i < spectrum.length; i++) {
+        sum += spectrum[i] * spectrum[i];
+    }
+    return spectrum.length ? sum / (spectrum.length * 255 * 255) : 0;
+}
+
+// Sum of positive spectral changes between two frames, 0-1
+export function calculateSpectralFlux(spectrum, previousSpectrum) {
+    if (!previousSpectrum) return 0;
+
+    let flux = 0;
+    for (let i = 0; i < spectrum.length; i++) {
+        const diff = spectrum[i] - previousSpectrum[i];
+        if (diff > 0) flux += diff;
+    }
+    return flux / (spectrum.length * 255);
+}
+
+// Averages per-channel sample arrays into one mono array
+export function mixToMono(channels) {
+    if (channels.length === 1) return channels[0];
+
+    const mono = new Float32Array(channels[0].length);
+    channels.forEach(channel => {
+        for (let i = 0; i < mono.length; i++) {
+            mono[i] += channel[i] / channels.length;
+        }
+    });
+    return mono;
+}
+
+// Software equivalent of AnalyserNode.getFloatFrequencyData + byte scaling:
+// Blackman window, radix-2 FFT, time smoothing on magnitudes, then dB mapped to 0-255
+export class SpectrumAnalyser {
+    constructor({ fftSize = 2048, minDecibels = -100, maxDecibels = -30, smoothingTimeConstant = 0.8 } = {}) {
+        this.minDecibels = minDecibels;
+        this.maxDecibels = maxDecibels;
+        this.smoothingTimeConstant = smoothingTimeConstant;
+        this.configure(fftSize);
+    }
+
+    configure(fftSize) {
+        this.fftSize = fftSize;
+        this.binCount = fftSize / 2;
+        
+        this.real = new Float32Array(fftSize);
+        this.imag = new Float32Array(fftSize);
+        this.window = new Float32Array(fftSize);
+        this.bitReversed = new Uint32Array(fftSize);
+        this.cosTable = new Float32Array(fftSize / 2);
+        this.sinTable = new Float32Array(fftSize / 2);
+        
+        for (let i = 0; i < fftSize; i++) {
+            const x = (2 * Math.PI * i) / fftSize;
+            this.window[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+        }
+        
+        const bits = Math.log2(fftSize);
+        for (let i = 0; i < fftSize; i++) {
+            let reversed = 0;
+            for (let b = 0; b < bits; b++) {
+                reversed = (reversed << 1) | ((i >> b) & 1);
+            }
+            this.bitReversed[i] = reversed;
+        }
+        
+        for (let i = 0; i < fftSize / 2; i++) {
+            this.cosTable[i] = Math.cos((2 * Math.PI * i) / fftSize);
+            this.sinTable[i] = -Math.sin((2 * Math.PI * i) / fftSize);
+        }
+        
+        this.magnitudes = new Float32Array(this.binCount); // Unsmoothed, byte scale
+        this.spectrum = new Float32Array(this.binCount); // Smoothed, byte scale
+        this.smoothedMagnitudes = new Float32Array(this.binCount);
+    }
+
+    // frame: the most recent fftSize samples, oldest first. Fills magnitudes and spectrum.
+    process(frame) {
+        const { fftSize, real, imag } = this;
+        
+        for (let i = 0; i < fftSize; i++) {
+            const target = this.bitReversed[i];
+            real[target] = (frame[i] || 0) * this.window[i];
+            imag[target] = 0;
+        }
+        
+        this.transform();
+        
+        const range = this.maxDecibels - this.minDecibels;
+        const smoothing = this.smoothingTimeConstant;
+        for (let k = 0; k < this.binCount; k++) {
+            const magnitude = Math.sqrt(real[k] * real[k] + imag[k] * imag[k]) / fftSize;
+            this.smoothedMagnitudes[k] = smoothing * this.smoothedMagnitudes[k] + (1 - smoothing) * magnitude;
+            
+            this.magnitudes[k] = this.toByteScale(magnitude, range);
+            this.spectrum[k] = this.toByteScale(this.smoothedMagnitudes[k], range);
+        }
+        
+        return this.spectrum;
+    }
+
+    toByteScale(magnitude, range) {
+        const decibels = 20 * Math.log10(magnitude + 1e-12);
+        return Math.max(0, Math.min(255, (255 * (decibels - this.minDecibels)) / range));
+    }
+
+    // In-place iterative radix-2 FFT over real / imag (input already bit-reversed)
+    transform() {
+        const { fftSize, real, imag, cosTable, sinTable } = this;
+        
+        for (let size = 2; size <= fftSize; size *= 2) {
+            const half = size / 2;
+            const step = fftSize / size;
+            
+            for (let start = 0; start < fftSize; start += size) {
+                for (let j = 0; j < half; j++) {
+                    const even = start + j;
+                    const odd = even + half;
+                    const cos = cosTable[j * step];
+                    const sin = sinTable[j * step];
+                    
+                    const oddReal = real[odd] * cos - imag[odd] * sin;
+                    const oddImag = real[odd] * sin + imag[odd] * cos;
+                    
+                    real[odd] = real[even] - oddReal;
+                    imag[odd] = imag[even] - oddImag;
+                    real[even] += oddReal;
+                    imag[even] += oddImag;
+                }
+            }
+        }
+    }
+
+    reset() {
+        this.smoothedMagnitudes.fill(0);
+    }
+}
+
+// Energy-variance beat detection; time (ms) is passed in so it works on any clock
+export class BeatDetector {
+    constructor({ threshold = 0.35, minInterval = 200, historySize = 43 } = {}) {
+        this.threshold = threshold;
+        this.minInterval = minInterval; // ms
+        this.historySize = historySize; // ~1 second at 43 frames per second
+        this.energyHistory = [];
+        this.lastBeatTime = -Infinity;
+    }
+
+    detect(energy, time) {
+        this.energyHistory.push(energy);
+        if (this.energyHistory.length > this.historySize) {
+            this.energyHistory.shift();
+        }
+        
+        const history = this.energyHistory;
+        const average = history.reduce((sum, value) => sum + value, 0) / history.length;
+        const variance = history.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / history.length;
+        
+        const beat = energy > average + this.threshold * Math.sqrt(variance) &&
+                     time - this.lastBeatTime > this.minInterval;
+        
+        if (beat) {
+            this.lastBeatTime = time;
+        }
+        return beat;
+    }
+
+    reset() {
+        this.energyHistory = [];
+        this.lastBeatTime = -Infinity;
+    }
+}
+
+// Analyses a whole mono PCM signal frame by frame, as the browser analyzer would while playing.
+// The default hop gives ~43 frames per second at 44.1 kHz, the rate the beat history assumes.
+export function analyzePCM(samples, sampleRate, {
+    fftSize = 2048,
+    hopSize = 1024,
+    bands = AudioUtils.defaultFrequencyBands,
+    smoothingTimeConstant = 0.8
+} = {}) {
+    const spectrumAnalyser = new SpectrumAnalyser({ fftSize, smoothingTimeConstant });
+    const beatDetector = new BeatDetector();
+    const tempoTracker = new TempoTracker();
+
+    const frame = new Float32Array(fftSize);
+    let previousSpectrum = null;
+    let tempo = tempoTracker.getState(0);
+    const frames = [];
+    const beats = [];
+
+    for (let end = hopSize; end <= samples.length; end += hopSize) {
+        // Window ending at the current hop, zero-padded at the start of the signal
+        const start = end - fftSize;
+        frame.fill(0);
+        frame.set(samples.subarray(Math.max(0, start), end), Math.max(0, -start));
+        
+        const time = end / sampleRate;
+        const spectrum = spectrumAnalyser.process(frame);
+        const energy = calculateEnergy(spectrum);
+        const beat = beatDetector.detect(energy, time * 1000);
+        
+        tempo = tempoTracker.update(calculateSpectralFlux(spectrumAnalyser.magnitudes, previousSpectrum), time * 1000);
+        previousSpectrum = spectrumAnalyser.magnitudes.slice();
+        
+        if (beat) beats.push(time);
+        frames.push({
+            time,
+            volume: calculateVolume(frame), // Whole window, as the analyser's time-domain data
+            energy,
+            beat,
+            dominantFrequency: AudioUtils.getDominantFrequency(spectrum, sampleRate, fftSize),
+            bands: AudioUtils.analyzeFrequencyBands(spectrum, sampleRate, fftSize, bands)
+        });
+    }
+
+    return {
+        sampleRate,
+        fftSize,
+        hopSize,
+        duration: samples.length / sampleRate,
+        tempo: { bpm: tempo.bpm, confidence: tempo.confidence },
+        beats,
+        frames
+    };
+}
@@ -0,0 +1,434 @@
+import { EventEmitter } from './event-emitter.js';
+import { MathUtils, PerformanceUtils } from './utils.js';
+
+const FORMAT = 'musicviz-analysis';
+const FORMAT_VERSION = 2;
+const RECORDED_EVENTS = ['beat', 'onset', 'silence', 'silenceEnd', 'trackEnd', 'sectionChange'];
+const FRAME_INTERVAL = 1000 / 30; // ms, frames are stored at 30 fps whatever the display rate
+// The live spectrum and waveform, the levels before normalisation and the worklet's raw onset
+// list are not replayed; the normalised levels are stored separately as bytes
+const OMITTED_FIELDS = ['spectrum', 'waveform', 'raw', 'chroma', 'onsetEvents', 'volume', 'energy', 'bands'];
+// True only on the frame something happens, so skipped frames pass them on to the next stored one
+const TRANSIENT_FLAGS = ['beat', 'sectionChanged', 'keyChanged', 'silenceChanged'];
+
+// Byte arrays are stored as base64 strings to keep the file compact
+function encodeBytes(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+function decodeBytes(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// 0..1 levels as bytes
+function quantize(values) {
+    return encodeBytes(Uint8Array.from(values, value => Math.round(Math.max(0, Math.min(1, value)) * 255)));
+}
+
+function dequantize(text) {
+    return Array.from(decodeBytes(text), value => value / 255);
+}
+
+// Round numbers so the JSON stays small; Infinity / NaN become null
+function compactValue(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? Math.round(value * 1000) / 1000 : null;
+    }
+    if (Array.isArray(value)) {
+        return value.map(compactValue);
+    }
+    if (value && typeof value === 'object') {
+        const compact = {};
+        Object.entries(value).forEach(([key, entry]) => {
+            compact[key] = compactValue(entry);
+        });
+        return compact;
+    }
+    return value;
+}
+
+function visualizationKey(barCount, { scale, minHz, maxHz } = {}) {
+    return `${barCount}:${scale}:${minHz}:${maxHz}`;
+}
+
+// Captures the output of an AudioAnalyzer (and the visualization data the visualizers request)
+// at a fixed frame rate into a compact, optionally gzipped JSON recording
+export class AnalysisRecorder {
+    constructor() {
+        this.maxDuration = 10 * 60 * 1000; // ms, recording stops by itself after this
+        this.isRecording = false;
+        this.truncated = false;
+        this.analyzer = null;
+        this.unsubscribers = [];
+        this.pendingEvents = [];
+        this.frames = [];
+        this.startTime = 0;
+        this.lastFrameTime = -Infinity;
+        this.heldTransients = null;
+        this.levelNames = null; // volume, energy and the band names, in the order of the level bytes
+        this.metadata = {};
+        this.visualizations = [];
+    }
+
+    // visualizations: [{ barCount, scale, minHz, maxHz }] requested by the visualizers
+    start(analyzer, { visualizations = [], metadata = {} } = {}) {
+        if (this.isRecording) this.stop();
+        
+        this.analyzer = analyzer;
+        this.visualizations = visualizations;
+        this.metadata = metadata;
+        this.frames = [];
+        this.pendingEvents = [];
+        this.startTime = null;
+        this.lastFrameTime = -Infinity;
+        this.heldTransients = { onsets: {} };
+        this.levelNames = null;
+        this.truncated = false;
+        this.isRecording = true;
+        
+        // Events are emitted during analyze(), before the frame they belong to
+        this.unsubscribers = RECORDED_EVENTS.map(event => analyzer.on(event, payload => {
+            this.pendingEvents.push([event, compactValue(payload === undefined ? null : payload)]);
+        }));
+        this.unsubscribers.push(analyzer.subscribe(this.captureFrame.bind(this)));
+    }
+
+    captureFrame(analysis, timestamp) {
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+        
+        const time = timestamp - this.startTime;
+        if (time > this.maxDuration) {
+            this.truncated = true;
+            this.detach();
+            return;
+        }
+        
+        this.holdTransients(analysis);
+        if (time - this.lastFrameTime < FRAME_INTERVAL - 1) return; // 1 ms slack for display timestamp jitter
+        this.lastFrameTime = time;
+        
+        if (!this.levelNames) {
+            this.levelNames = ['volume', 'energy', ...Object.keys(analysis.bands)];
+        }
+        const levels = { volume: analysis.volume, energy: analysis.energy, ...analysis.bands };
+        
+        const values = {};
+        Object.keys(analysis).forEach(field => {
+            if (!OMITTED_FIELDS.includes(field)) values[field] = analysis[field];
+        });
+        this.applyTransients(values);
+        
+        const visualization = {};
+        this.visualizations.forEach(({ barCount = 64, ...options }) => {
+            const data = this.analyzer.getVisualizationData(barCount, options);
+            visualization[visualizationKey(barCount, options)] = quantize(data);
+        });
+        
+        this.frames.push({
+            t: Math.round(time * 10) / 10,
+            a: compactValue(values),
+            l: quantize(this.levelNames.map(name => levels[name] || 0)),
+            v: visualization,
+            e: this.pendingEvents
+        });
+        this.pendingEvents = [];
+    }
+
+    // Beats, onsets and changes since the last stored frame, kept until the next one is stored
+    holdTransients(analysis) {
+        const held = this.heldTransients;
+        TRANSIENT_FLAGS.forEach(flag => {
+            if (analysis[flag]) held[flag] = true;
+        });
+        if (analysis.tempo && analysis.tempo.onBeat) {
+            held.onBeat = true;
+        }
+        Object.entries(analysis.onsets || {}).forEach(([drum, onset]) => {
+            const previous = held.onsets[drum];
+            if (onset && onset.detected && !(previous && previous.strength >= onset.strength)) {
+                held.onsets[drum] = onset;
+            }
+        });
+    }
+
+    applyTransients(values) {
+        const held = this.heldTransients;
+        TRANSIENT_FLAGS.forEach(flag => {
+            if (held[flag]) values[flag] = true;
+        });
+        if (held.onBeat && values.tempo) {
+            values.tempo = { ...values.tempo, onBeat: true };
+        }
+        if (Object.keys(held.onsets).length > 0) {
+            values.onsets = { ...values.onsets, ...held.onsets };
+        }
+        this.heldTransients = { onsets: {} };
+    }
+
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    // Stops recording and returns the recording object
+    stop() {
+        this.detach();
+        this.isRecording = false;
+        
+        const frames = this.frames;
+        this.frames = [];
+        
+        return {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            duration: frames.length ? frames[frames.length - 1].t : 0,
+            truncated: this.truncated,
+            sampleRate: this.analyzer && this.analyzer.audioContext ? this.analyzer.audioContext.sampleRate : null,
+            fftSize: this.analyzer ? this.analyzer.fftSize : null,
+            levels: this.levelNames || [],
+            metadata: this.metadata,
+            visualizations: this.visualizations.map(({ barCount = 64, ...options }) => visualizationKey(barCount, options)),
+            frames
+        };
+    }
+
+    // Serialise a recording to a Blob, gzipped where CompressionStream is available
+    static async toBlob(recording) {
+        const json = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        if (typeof CompressionStream === 'undefined') return json;
+        
+        const stream = json.stream().pipeThrough(new CompressionStream('gzip'));
+        return new Response(stream).blob();
+    }
+
+    static async fromFile(file) {
+        let bytes = new Uint8Array(await file.arrayBuffer());
+        
+        // Gzip magic number
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot read compressed recordings');
+            }
+            const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+            bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        
+        let recording;
+        try {
+            recording = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('Not a MusicViz analysis recording');
+        }
+        
+        if (!recording || recording.format !== FORMAT || !Array.isArray(recording.frames)) {
+            throw new Error('Not a MusicViz analysis recording');
+        }
+        if (recording.version > FORMAT_VERSION) {
+            throw new Error(`Unsupported recording version: ${recording.version}`);
+        }
+        
+        return recording;
+    }
+}
+
+// Stands in for AudioAnalyzer: replays a recording with its original frame timing and events,
+// without any audio. Implements the parts of the analyzer API the visualizers use.
+export class ReplayAnalyzer extends EventEmitter {
+    constructor(recording) {
+        super();
+        
+        this.recording = recording;
+        this.frames = recording.frames;
+        this.fftSize = recording.fftSize;
+        this.frameLoop = null;
+        
+        this.isPlaying = false;
+        this.position = 0; // ms into the recording
+        this.clockStart = 0;
+        this.frameIndex = -1;
+        this.decodedIndex = -1;
+        this.currentAnalysis = null;
+        this.repeatedAnalysis = null;
+        this.currentVisualization = {};
+    }
+
+    get duration() {
+        return this.recording.duration;
+    }
+
+    play() {
+        if (this.isPlaying) return;
+        if (this.frameIndex >= this.frames.length - 1) {
+            this.seek(0);
+        }
+        
+        this.isPlaying = true;
+        this.clockStart = performance.now() - this.position;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    seek(time) {
+        this.position = Math.max(0, Math.min(time, this.duration));
+        this.clockStart = performance.now() - this.position;
+        this.frameIndex = this.findFrame(this.position);
+    }
+
+    // Index of the last frame at or before the given time
+    findFrame(time) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        let index = -1;
+        while (low <= high) {
+            const middle = (low + high) >> 1;
+            if (this.frames[middle].t <= time) {
+                index = middle;
+                low = middle + 1;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return index;
+    }
+
+    subscribe(callback) {
+        this.on('frame', callback);
+        
+        if (!this.frameLoop) {
+            this.frameLoop = PerformanceUtils.createAnimationLoop(this.tick.bind(this));
+            this.frameLoop.start();
+        }
+        
+        return () => this.unsubscribe(callback);
+    }
+
+    unsubscribe(callback) {
+        this.off('frame', callback);
+        
+        if (this.frameLoop && this.listenerCount('frame') === 0) {
+            this.frameLoop.stop();
+            this.frameLoop = null;
+        }
+    }
+
+    tick(timestamp) {
+        if (this.isPlaying) {
+            this.position = performance.now() - this.clockStart;
+            this.advanceTo(this.findFrame(this.position));
+        }
+        
+        this.emitFrame(timestamp);
+        
+        if (this.isPlaying && this.frameIndex >= this.frames.length - 1) {
+            this.isPlaying = false;
+            this.emit('trackEnd', { replay: true });
+        }
+    }
+
+    // Advance exactly one recorded frame, e.g. to compare renders frame by frame
+    step(timestamp = performance.now()) {
+        this.pause();
+        this.advanceTo(Math.min(this.frameIndex + 1, this.frames.length - 1));
+        this.position = this.frameIndex >= 0 ? this.frames[this.frameIndex].t : 0;
+        this.emitFrame(timestamp);
+    }
+
+    // Replays the events of every frame passed, so dropped display frames lose nothing
+    advanceTo(index) {
+        for (let i = this.frameIndex + 1; i <= index; i++) {
+            this.frames[i].e.forEach(([event, payload]) => {
+                if (event !== 'trackEnd') this.emit(event, payload);
+            });
+        }
+        this.frameIndex = Math.max(this.frameIndex, index);
+    }
+
+    emitFrame(timestamp) {
+        const analysis = this.analyze();
+        if (analysis) {
+            this.emit('frame', analysis, timestamp);
+        }
+    }
+
+    analyze() {
+        if (this.frameIndex < 0) return this.currentAnalysis;
+        
+        // Display frames between two stored ones repeat it without its beats, onsets and changes
+        if (this.decodedIndex === this.frameIndex) {
+            return this.repeatedAnalysis;
+        }
+        
+        const frame = this.frames[this.frameIndex];
+        this.currentAnalysis = { ...frame.a, ...this.decodeLevels(frame) };
+        this.currentVisualization = {};
+        Object.entries(frame.v).forEach(([key, data]) => {
+            this.currentVisualization[key] = dequantize(data);
+        });
+        this.repeatedAnalysis = this.withoutTransients(this.currentAnalysis);
+        this.decodedIndex = this.frameIndex;
+        
+        return this.currentAnalysis;
+    }
+
+    // Version 1 recordings kept the levels in the analysis and the full spectrum and waveform
+    decodeLevels(frame) {
+        if (!frame.l) {
+            return frame.s ? { spectrum: Array.from(decodeBytes(frame.s)), waveform: Array.from(decodeBytes(frame.w)) } : {};
+        }
+        
+        const [volume, energy, ...bandLevels] = dequantize(frame.l);
+        const bands = {};
+        this.recording.levels.slice(2).forEach((name, index) => {
+            bands[name] = bandLevels[index];
+        });
+        return { volume, energy, bands };
+    }
+
+    withoutTransients(analysis) {
+        const repeated = { ...analysis };
+        TRANSIENT_FLAGS.forEach(flag => {
+            if (flag in repeated) repeated[flag] = false;
+        });
+        if (repeated.tempo) {
+            repeated.tempo = { ...repeated.tempo, onBeat: false };
+        }
+        if (repeated.onsets) {
+            repeated.onsets = Object.fromEntries(Object.entries(repeated.onsets).map(([drum, onset]) => [
+                drum, onset ? { ...onset, detected: false } : onset
+            ]));
+        }
+        return repeated;
+    }
+
+    // Recorded bars for the requested scale, or the first recorded set resampled to barCount
+    getVisualizationData(barCount = 64, options = {}) {
+        const recorded = this.currentVisualization[visualizationKey(barCount, options)];
+        if (recorded) return recorded;
+        
+        const fallback = Object.values(this.currentVisualization)[0];
+        return MathUtils.resample(fallback || [], barCount);
+    }
+
+    dispose() {
+        if (this.frameLoop) {
+            this.frameLoop.stop();
+            this.frameLoop = null;
+        }
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,92 @@
+// Main-thread side of the analysis worklet: keeps the latest spectrum and buffers
+// per-hop flux and timestamped onset events until the next animation frame drains them
+export class AnalysisWorkletNode {
+    constructor(node, fftSize) {
+        this.node = node;
+        this.binCount = fftSize / 2;
+        this.maxQueueSize = 512; // ~6 seconds of hops, in case frames stop being drawn
+        
+        this.spectrum = null; // Float32Array on the AnalyserNode byte scale
+        this.level = { rms: 0, peak: 0 };
+        this.loudness = null; // Latest LoudnessMeter state, updated every 100 ms
+        this.hops = [];
+        this.onsetEvents = [];
+        
+        this.node.port.onmessage = this.handleMessage.bind(this);
+    }
+
+    static isSupported(audioContext) {
+        return Boolean(audioContext.audioWorklet) && typeof AudioWorkletNode !== 'undefined';
+    }
+
+    static async create(audioContext, options) {
+        await audioContext.audioWorklet.addModule(new URL('./analysis-worklet.js', import.meta.url));
+        
+        // No outputs: the node only listens, the browser still pulls it every render quantum
+        const node = new AudioWorkletNode(audioContext, 'analysis-processor', {
+            numberOfInputs: 1,
+            numberOfOutputs: 0,
+            channelCount: 2,
+            channelCountMode: 'explicit',
+            processorOptions: options
+        });
+        
+        return new AnalysisWorkletNode(node, options.fftSize);
+    }
+
+    get hasFrame() {
+        return this.spectrum !== null;
+    }
+
+    handleMessage({ data }) {
+        switch (data.type) {
+            case 'frame':
+                // Ignore frames computed before an FFT size change reached the worklet
+                if (data.spectrum.length !== this.binCount) return;
+                
+                this.spectrum = data.spectrum;
+                this.level = { rms: data.rms, peak: data.peak };
+                this.enqueue(this.hops, { time: data.time, flux: data.flux });
+                break;
+            case 'loudness':
+                this.loudness = data.state;
+                break;
+            case 'onset':
+                this.enqueue(this.onsetEvents, { band: data.band, time: data.time, strength: data.strength });
+                break;
+        }
+    }
+
+    enqueue(queue, item) {
+        queue.push(item);
+        if (queue.length > this.maxQueueSize) {
+            queue.shift();
+        }
+    }
+
+    // Everything received since the previous call
+    drain() {
+        const drained = { hops: this.hops, onsets: this.onsetEvents };
+        this.hops = [];
+        this.onsetEvents = [];
+        return drained;
+    }
+
+    // Restart the integrated loudness, range and true peak measurement
+    resetLoudness() {
+        this.loudness = null;
+        this.node.port.postMessage({ type: 'resetLoudness' });
+    }
+
+    setFFTSize(fftSize) {
+        this.binCount = fftSize / 2;
+        this.spectrum = null;
+        this.drain();
+        this.node.port.postMessage({ type: 'config', fftSize });
+    }
+
+    dispose() {
+        this.node.port.onmessage = null;
+        this.node.disconnect();
+    }
+}
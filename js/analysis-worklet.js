@@ -0,0 +1,131 @@
+import { OnsetDetector } from './onset-detector.js';
+import { SpectrumAnalyser, calculateSpectralFlux, calculateVolume, calculatePeak } from './analysis-core.js';
+import { LoudnessMeter } from './loudness-meter.js';
+
+// Runs on the audio rendering thread: analyses every hop of audio at float precision
+// and posts spectra plus onset events stamped with the exact audio time.
+class AnalysisProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        
+        const settings = options.processorOptions || {};
+        this.minDecibels = settings.minDecibels ?? -100;
+        this.maxDecibels = settings.maxDecibels ?? -30;
+        this.smoothing = settings.smoothingTimeConstant ?? 0.8;
+        this.onsetBands = settings.onsetBands || {};
+        
+        this.configure(settings.fftSize || 2048);
+        
+        // R128 loudness needs every sample of every channel, so it is measured here
+        this.loudnessMeter = new LoudnessMeter({ sampleRate, channelCount: 2 });
+        this.loudnessBlocks = 0;
+        
+        this.port.onmessage = ({ data }) => {
+            if (data.type === 'config' && data.fftSize) {
+                this.configure(data.fftSize);
+            } else if (data.type === 'resetLoudness') {
+                this.loudnessMeter.reset();
+                this.loudnessBlocks = 0;
+            }
+        };
+    }
+
+    configure(fftSize) {
+        this.fftSize = fftSize;
+        this.hopSize = Math.min(512, fftSize);
+        
+        // Ring buffer of the most recent fftSize samples, unrolled into frame for each hop
+        this.buffer = new Float32Array(fftSize);
+        this.frame = new Float32Array(fftSize);
+        this.writeIndex = 0;
+        this.samplesSinceHop = 0;
+        
+        // Spectra on the AnalyserNode byte scale (0-255), but unquantised
+        this.spectrumAnalyser = new SpectrumAnalyser({
+            fftSize,
+            minDecibels: this.minDecibels,
+            maxDecibels: this.maxDecibels,
+            smoothingTimeConstant: this.smoothing
+        });
+        this.previousSpectrum = null;
+        
+        this.onsetDetectors = {};
+        Object.entries(this.onsetBands).forEach(([name, band]) => {
+            const detector = new OnsetDetector(band);
+            detector.maxHistorySize = Math.round(sampleRate / this.hopSize); // ~1 second of hops
+            this.onsetDetectors[name] = detector;
+        });
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+        
+        this.measureLoudness(input);
+        
+        const blockLength = input[0].length;
+        for (let i = 0; i < blockLength; i++) {
+            // Mono mixdown
+            let sample = 0;
+            for (let channel = 0; channel < input.length; channel++) {
+                sample += input[channel][i];
+            }
+            this.buffer[this.writeIndex] = sample / input.length;
+            this.writeIndex = (this.writeIndex + 1) % this.fftSize;
+            
+            if (++this.samplesSinceHop >= this.hopSize) {
+                this.samplesSinceHop = 0;
+                this.analyseFrame(currentTime + (i + 1) / sampleRate);
+            }
+        }
+        
+        return true;
+    }
+
+    // Posts the meter state each time a 100 ms loudness block completes
+    measureLoudness(input) {
+        const state = this.loudnessMeter.process(input);
+        if (this.loudnessMeter.subBlockCount !== this.loudnessBlocks) {
+            this.loudnessBlocks = this.loudnessMeter.subBlockCount;
+            this.port.postMessage({ type: 'loudness', state });
+        }
+    }
+
+    analyseFrame(time) {
+        const { fftSize, frame, spectrumAnalyser } = this;
+        
+        // Unroll the ring buffer, oldest sample first
+        for (let i = 0; i < fftSize; i++) {
+            frame[i] = this.buffer[(this.writeIndex + i) % fftSize];
+        }
+        spectrumAnalyser.process(frame);
+        const magnitudes = spectrumAnalyser.magnitudes;
+        
+        // Onsets and flux from the unsmoothed spectrum so transients stay sharp
+        const flux = calculateSpectralFlux(magnitudes, this.previousSpectrum);
+        if (this.previousSpectrum) {
+            const binHz = sampleRate / fftSize;
+            Object.entries(this.onsetDetectors).forEach(([band, detector]) => {
+                const onset = detector.process(magnitudes, this.previousSpectrum, binHz, time * 1000);
+                if (onset.detected) {
+                    this.port.postMessage({ type: 'onset', band, time, strength: onset.strength });
+                }
+            });
+        } else {
+            this.previousSpectrum = new Float32Array(magnitudes.length);
+        }
+        this.previousSpectrum.set(magnitudes);
+        
+        const spectrum = spectrumAnalyser.spectrum.slice();
+        this.port.postMessage({
+            type: 'frame',
+            time,
+            spectrum,
+            flux,
+            rms: calculateVolume(frame),
+            peak: calculatePeak(frame)
+        }, [spectrum.buffer]);
+    }
+}
+
+registerProcessor('analysis-processor', AnalysisProcessor);
@@ -1,93 +1,510 @@
-import { AudioUtils, MathUtils } from './utils.js';
+import { AudioUtils, FrequencyUtils, MathUtils, PerformanceUtils } from './utils.js';
+import { EventEmitter } from './event-emitter.js';
+import { TempoTracker } from './tempo-tracker.js';
+import { OnsetDetector } from './onset-detector.js';
+import { KeyDetector } from './key-detector.js';
+import { SpectralFeatureExtractor } from './spectral-features.js';
+import { StereoMeter } from './stereo-meter.js';
+import { AnalysisWorkletNode } from './analysis-worklet-node.js';
+import { PitchTracker } from './pitch-tracker.js';
+import { BeatDetector, calculateVolume, calculateEnergy, calculateSpectralFlux } from './analysis-core.js';
+import { GainNormalizer } from './gain-normalizer.js';
+import { LoudnessMeter } from './loudness-meter.js';
 
-export class AudioAnalyzer {
+// Events: 'frame' (analysis, timestamp), 'beat', 'onset', 'silence', 'silenceEnd', 'trackEnd', 'sectionChange'
+export class AudioAnalyzer extends EventEmitter {
     constructor() {
+        super();
+        
         this.audioContext = null;
         this.analyser = null;
         this.source = null;
-        this.frequencyData = null;
+        this.mediaElement = null; // The audible element: the active deck with a DeckMixer
+        this.bufferPlayer = null;
+        this.deckMixer = null;
+        this.liveStream = null;
+        this.isLiveInput = false;
+        this.frequencyData = null; // Byte spectrum, or the worklet's float spectrum on the same scale
+        this.byteFrequencyData = null;
         this.timeData = null;
+        this.floatTimeData = null; // Full-precision waveform for pitch tracking
+        
+        // Stereo: a splitter feeds one analyser per channel
+        this.splitter = null;
+        this.channelAnalysers = null; // { left, right }
+        this.channelFrequencyData = null;
+        this.channelTimeData = null;
+        this.stereoMeter = new StereoMeter();
+        
+        // EBU R128 loudness: measured in the worklet, or here from the channel analysers as a fallback
+        this.loudnessMeter = null; // Created with the context, it needs the sample rate
+        this.lastLoudnessTime = null;
         
         // Analysis parameters
         this.fftSize = 2048;
         this.smoothingTimeConstant = 0.8;
         
-        // Beat detection
-        this.beatThreshold = 0.35;
-        this.beatDecay = 0.98;
-        this.beatMinInterval = 200; // ms
-        this.lastBeatTime = 0;
-        this.energyHistory = [];
-        this.maxEnergyHistorySize = 43; // ~1 second at 43 FPS
-        
-        // Frequency analysis
-        this.frequencyBands = {
-            bass: { start: 0, end: 0.1 },
-            lowMid: { start: 0.1, end: 0.25 },
-            mid: { start: 0.25, end: 0.5 },
-            highMid: { start: 0.5, end: 0.75 },
-            treble: { start: 0.75, end: 1.0 }
+        // AudioWorklet analysis (every audio block, float precision); AnalyserNode polling is the fallback
+        this.useWorklet = true;
+        this.workletAnalysis = null;
+        this.workletFailed = false;
+        
+        // Beat detection (energy variance, ~1 second of history at 43 FPS)
+        this.beatDetector = new BeatDetector({ threshold: 0.35, minInterval: 200, historySize: 43 });
+        
+        // Shared per-frame loop, runs while anything is subscribed
+        this.frameLoop = null;
+        
+        // Silence detection
+        this.silenceThreshold = 0.01; // RMS volume
+        this.silenceDuration = 2000; // ms below the threshold before 'silence' is emitted
+        this.silentSince = null;
+        this.isSilent = false;
+        this.lastSilence = null; // { since, duration } of the silence that just ended
+        
+        // Automatic gain normalisation of volume, energy, bands and visualization bars
+        this.normalizeGain = true;
+        this.gainNormalizer = new GainNormalizer({ attack: 100, release: 4000 });
+        this.lastAnalysisTime = null;
+        
+        // Whole-track pre-analysis for the current file
+        this.timeline = null;
+        this.currentSectionIndex = -1;
+        
+        // Tempo tracking
+        this.tempoTracker = new TempoTracker();
+        this.previousFrequencyData = null;
+        
+        // Per-drum onset detection
+        this.onsetDetectors = {
+            kick: new OnsetDetector({ minHz: 40, maxHz: 150, sensitivity: 1.5, minInterval: 150 }),
+            snare: new OnsetDetector({ minHz: 180, maxHz: 4000, sensitivity: 1.8, minInterval: 120 }),
+            hat: new OnsetDetector({ minHz: 6000, maxHz: 16000, sensitivity: 1.5, minInterval: 60 })
         };
         
+        // Chroma and key estimation
+        this.keyDetector = new KeyDetector();
+        
+        // Fundamental frequency of the lead line / vocal
+        this.pitchTracker = new PitchTracker();
+        
+        // Spectral descriptors (brightness, noisiness, ...)
+        this.featureExtractor = new SpectralFeatureExtractor({ smoothing: 0.5 });
+        
+        // Visualization frequency scale defaults (maxHz null = Nyquist)
+        this.visualizationScale = { scale: 'linear', minHz: 0, maxHz: null };
+        this.barBinCache = new Map();
+        
+        // Frequency analysis (bands in Hz)
+        this.frequencyBands = {};
+        Object.entries(AudioUtils.defaultFrequencyBands).forEach(([name, band]) => {
+            this.frequencyBands[name] = { ...band };
+        });
+        
         this.currentAnalysis = {
             volume: 0,
             energy: 0,
             beat: false,
             dominantFrequency: 0,
+            tempo: this.tempoTracker.getState(0),
+            onsets: this.createEmptyOnsets(),
+            lookahead: null,
+            section: null,
+            sectionChanged: false,
+            chroma: new Array(12).fill(0),
+            key: null,
+            keyChanged: false,
+            features: this.featureExtractor.createEmptyFeatures(),
+            stereo: this.stereoMeter.createEmptyState(),
+            loudness: LoudnessMeter.createEmptyState(),
+            onsetEvents: [],
+            pitch: this.pitchTracker.createEmptyPitch(),
             bands: {},
+            raw: { volume: 0, energy: 0, bands: {} },
+            silent: false,
+            silenceChanged: false,
             spectrum: [],
             waveform: []
         };
     }
 
-    async initialize(audioElement) {
+    // Dual-deck playback: the analyser hears the mix of both decks, so a crossfade is analysed
+    // exactly as it sounds
+    async initializeDecks(mixer) {
         try {
-            // Create audio context
-            this.audioContext = AudioUtils.getAudioContext();
+            await this.setupContext();
+            
+            if (this.deckMixer !== mixer) {
+                mixer.connect(this.audioContext);
+                mixer.elements.forEach(element => {
+                    // The deck fading out may end on its own; only the audible track ending counts
+                    element.addEventListener('ended', () => {
+                        if (element === mixer.active) {
+                            this.emit('trackEnd', { src: element.currentSrc });
+                        }
+                    });
+                });
+                mixer.on('deckChange', element => {
+                    this.mediaElement = element;
+                });
+                this.deckMixer = mixer;
+            }
+            
+            this.mediaElement = mixer.active;
+            this.stopLiveInput();
+            this.connectSource(mixer.output, { monitor: true });
+            this.resetTracking();
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize deck playback:', error);
+            return false;
+        }
+    }
+
+    // Web Audio playback of a decoded file (a BufferPlayer), for formats the decks cannot play
+    async initializeBufferPlayer(player) {
+        try {
+            await this.setupContext();
             
-            // Resume context if suspended (browser policy)
-            if (this.audioContext.state === 'suspended') {
-                await this.audioContext.resume();
+            if (this.bufferPlayer !== player) {
+                player.addEventListener('ended', () => {
+                    if (this.mediaElement === player) {
+                        this.emit('trackEnd', { src: player.src });
+                    }
+                });
+                this.bufferPlayer = player;
             }
             
-            // Create analyser node
+            this.mediaElement = player;
+            this.stopLiveInput();
+            this.connectSource(player.connect(this.audioContext), { monitor: true });
+            this.resetTracking();
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize decoded playback:', error);
+            return false;
+        }
+    }
+
+    // Use a microphone / line-in stream as the analysis source
+    async initializeLiveInput(deviceId = null) {
+        try {
+            await this.setupContext();
+            
+            // Disable browser voice processing so the signal reaches the analyser untouched
+            const stream = await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    deviceId: deviceId ? { exact: deviceId } : undefined,
+                    echoCancellation: false,
+                    noiseSuppression: false,
+                    autoGainControl: false
+                }
+            });
+            
+            this.stopLiveInput();
+            this.liveStream = stream;
+            
+            // Never route live input to the speakers to avoid feedback
+            this.connectSource(this.audioContext.createMediaStreamSource(stream), { monitor: false });
+            this.isLiveInput = true;
+            this.timeline = null;
+            this.resetTracking();
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize live input:', error);
+            return false;
+        }
+    }
+
+    // Use a SignalGenerator's test signal as the analysis source
+    async initializeGenerator(generator, settings = {}) {
+        try {
+            await this.setupContext();
+            this.stopLiveInput();
+            
+            // Monitored so the tone can be heard; the generator's own level keeps it in check
+            this.connectSource(generator.start(this.audioContext, settings), { monitor: true });
+            this.timeline = null;
+            this.resetTracking();
+            
+            return true;
+        } catch (error) {
+            console.error('Failed to initialize signal generator:', error);
+            return false;
+        }
+    }
+
+    async setupContext() {
+        // Create audio context
+        if (!this.audioContext) {
+            this.audioContext = AudioUtils.getAudioContext();
+        }
+        
+        // Resume context if suspended (browser policy)
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        
+        // Create analyser node
+        if (!this.analyser) {
             this.analyser = this.audioContext.createAnalyser();
             this.analyser.fftSize = this.fftSize;
             this.analyser.smoothingTimeConstant = this.smoothingTimeConstant;
             
-            // Create audio source
-            if (!this.source) {
-                this.source = this.audioContext.createMediaElementSource(audioElement);
-                this.source.connect(this.analyser);
-                this.analyser.connect(this.audioContext.destination);
-            }
-            
             // Initialize data arrays
-            this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.byteFrequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.frequencyData = this.byteFrequencyData;
             this.timeData = new Uint8Array(this.analyser.frequencyBinCount);
+            this.floatTimeData = new Float32Array(this.analyser.fftSize);
+        }
+        
+        if (!this.splitter) {
+            this.setupChannelAnalysers();
+        }
+        
+        if (!this.loudnessMeter) {
+            this.loudnessMeter = new LoudnessMeter({ sampleRate: this.audioContext.sampleRate });
+        }
+        
+        if (this.useWorklet && !this.workletAnalysis && !this.workletFailed) {
+            await this.setupWorklet();
+        }
+    }
+
+    async setupWorklet() {
+        if (!AnalysisWorkletNode.isSupported(this.audioContext)) {
+            this.workletFailed = true;
+            return;
+        }
+        
+        try {
+            const onsetBands = {};
+            Object.entries(this.onsetDetectors).forEach(([name, detector]) => {
+                onsetBands[name] = {
+                    minHz: detector.minHz,
+                    maxHz: detector.maxHz,
+                    sensitivity: detector.sensitivity,
+                    minInterval: detector.minInterval
+                };
+            });
             
-            return true;
+            this.workletAnalysis = await AnalysisWorkletNode.create(this.audioContext, {
+                fftSize: this.fftSize,
+                smoothingTimeConstant: this.smoothingTimeConstant,
+                minDecibels: this.analyser.minDecibels,
+                maxDecibels: this.analyser.maxDecibels,
+                onsetBands
+            });
         } catch (error) {
-            console.error('Failed to initialize audio analyzer:', error);
-            return false;
+            console.warn('AudioWorklet analysis unavailable, falling back to AnalyserNode:', error);
+            this.workletFailed = true;
+        }
+    }
+
+    // True when spectra and onsets currently come from the AudioWorklet
+    isUsingWorklet() {
+        return Boolean(this.workletAnalysis && this.workletAnalysis.hasFrame);
+    }
+
+    setupChannelAnalysers() {
+        // 'speakers' upmixes mono sources to both channels instead of leaving the right one silent
+        this.splitter = this.audioContext.createChannelSplitter(2);
+        this.splitter.channelInterpretation = 'speakers';
+        
+        this.channelAnalysers = {};
+        ['left', 'right'].forEach((channel, index) => {
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = this.fftSize;
+            analyser.smoothingTimeConstant = this.smoothingTimeConstant;
+            this.splitter.connect(analyser, index);
+            this.channelAnalysers[channel] = analyser;
+        });
+        
+        this.createChannelData();
+    }
+
+    createChannelData() {
+        const { left } = this.channelAnalysers;
+        this.channelFrequencyData = {
+            left: new Uint8Array(left.frequencyBinCount),
+            right: new Uint8Array(left.frequencyBinCount)
+        };
+        this.channelTimeData = {
+            left: new Float32Array(left.fftSize),
+            right: new Float32Array(left.fftSize)
+        };
+    }
+
+    // Change the FFT size at runtime, e.g. for finer low-frequency resolution
+    setFFTSize(fftSize) {
+        this.fftSize = fftSize;
+        if (!this.analyser) return;
+        
+        this.analyser.fftSize = fftSize;
+        if (this.workletAnalysis) {
+            this.workletAnalysis.setFFTSize(fftSize);
+        }
+        if (this.channelAnalysers) {
+            this.channelAnalysers.left.fftSize = fftSize;
+            this.channelAnalysers.right.fftSize = fftSize;
+            this.createChannelData();
+        }
+        this.byteFrequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+        this.frequencyData = this.byteFrequencyData;
+        this.timeData = new Uint8Array(this.analyser.frequencyBinCount);
+        this.floatTimeData = new Float32Array(this.analyser.fftSize);
+        this.lastFrequencyData = null;
+        this.resetTracking();
+    }
+
+    connectSource(source, { monitor = true } = {}) {
+        if (this.source) {
+            this.source.disconnect();
+        }
+        this.analyser.disconnect();
+        
+        this.source = source;
+        this.source.connect(this.analyser);
+        this.source.connect(this.splitter);
+        if (this.workletAnalysis) {
+            this.source.connect(this.workletAnalysis.node);
+        }
+        
+        if (monitor) {
+            this.analyser.connect(this.audioContext.destination);
         }
     }
 
+    stopLiveInput() {
+        if (!this.liveStream) return;
+        
+        this.liveStream.getTracks().forEach(track => track.stop());
+        this.liveStream = null;
+        
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        this.isLiveInput = false;
+    }
+
+    resetTracking() {
+        this.beatDetector.reset();
+        this.previousFrequencyData = null;
+        this.tempoTracker.reset();
+        Object.values(this.onsetDetectors).forEach(detector => detector.reset());
+        this.keyDetector.reset();
+        this.featureExtractor.reset();
+        this.stereoMeter.reset();
+        this.pitchTracker.reset();
+        this.resetLoudness();
+        this.lastFrequencyData = null;
+        this.silentSince = null;
+        this.isSilent = false;
+        this.gainNormalizer.reset();
+        this.lastAnalysisTime = null;
+    }
+
+    // Run analyze() once per animation frame and pass the result to every subscriber.
+    // Returns a function that unsubscribes again.
+    subscribe(callback) {
+        this.on('frame', callback);
+        
+        if (!this.frameLoop) {
+            this.frameLoop = PerformanceUtils.createAnimationLoop(this.tick.bind(this));
+            this.frameLoop.start();
+        }
+        
+        return () => this.unsubscribe(callback);
+    }
+
+    unsubscribe(callback) {
+        this.off('frame', callback);
+        
+        if (this.frameLoop && this.listenerCount('frame') === 0) {
+            this.frameLoop.stop();
+            this.frameLoop = null;
+        }
+    }
+
+    tick(timestamp) {
+        const analysis = this.analyze();
+        this.emit('frame', analysis, timestamp);
+    }
+
+    // 0 = raw per-frame features, closer to 1 = smoother
+    setFeatureSmoothing(smoothing) {
+        this.featureExtractor.setSmoothing(smoothing);
+    }
+
     analyze() {
         if (!this.analyser) return this.currentAnalysis;
         
-        // Get frequency and time domain data
-        this.analyser.getByteFrequencyData(this.frequencyData);
+        // Float spectrum from the worklet when available, otherwise poll the AnalyserNode
+        const worklet = this.isUsingWorklet() ? this.workletAnalysis : null;
+        if (worklet) {
+            this.frequencyData = worklet.spectrum;
+        } else {
+            this.analyser.getByteFrequencyData(this.byteFrequencyData);
+            this.frequencyData = this.byteFrequencyData;
+        }
         this.analyser.getByteTimeDomainData(this.timeData);
+        this.analyser.getFloatTimeDomainData(this.floatTimeData);
+        const now = performance.now();
         
         // Calculate volume (RMS)
-        const volume = this.calculateVolume();
+        const volume = worklet ? worklet.level.rms : calculateVolume(this.floatTimeData);
         
         // Calculate energy
-        const energy = this.calculateEnergy();
+        const energy = calculateEnergy(this.frequencyData);
         
         // Detect beat
-        const beat = this.detectBeat(energy);
+        const beat = this.beatDetector.detect(energy, now);
+        
+        let onsets;
+        let tempo;
+        let onsetEvents = [];
+        if (worklet) {
+            // Every hop since the last frame, so nothing is missed when frames drop
+            ({ onsets, tempo, onsetEvents } = this.processWorkletEvents(worklet.drain()));
+        } else {
+            // Per-drum onsets (must run before the flux updates the previous frame)
+            onsets = this.detectOnsets(now);
+            
+            // Track tempo and beat phase from spectral flux, on the audio clock like the worklet's
+            // hops, so switching between the two paths keeps one timeline
+            const flux = this.calculateSpectralFlux();
+            tempo = this.tempoTracker.update(flux, this.audioContext.currentTime * 1000);
+        }
+        
+        // Song structure from the pre-analysis
+        const section = this.getCurrentSection();
+        const sectionChanged = this.updateSection(section);
+        
+        // Harmony: pitch-class profile and key
+        const { chroma, key, keyChanged } = this.keyDetector.process(
+            this.frequencyData,
+            this.audioContext.sampleRate / this.fftSize
+        );
+        
+        // Spectral descriptors
+        const features = this.featureExtractor.process(
+            this.frequencyData,
+            this.timeData,
+            this.audioContext.sampleRate
+        );
+        
+        // Melody pitch from the full-precision waveform
+        const pitch = this.pitchTracker.process(this.floatTimeData, this.audioContext.sampleRate);
+        
+        // Left / right balance, phase correlation and mid/side
+        const stereo = this.analyzeStereo();
+        
+        // Momentary / short-term / integrated LUFS, loudness range and true peak
+        const loudness = this.measureLoudness(now);
         
         // Get dominant frequency
         const dominantFrequency = AudioUtils.getDominantFrequency(
@@ -99,103 +516,357 @@ export class AudioAnalyzer {
         // Analyze frequency bands
         const bands = this.analyzeFrequencyBands();
         
+        // Silence is judged on the absolute level, before any gain normalisation
+        const silenceChanged = this.updateSilence(volume, now);
+        const levels = this.normalizeLevels({ volume, energy, bands }, now);
+        
         // Update current analysis
         this.currentAnalysis = {
-            volume,
-            energy,
+            ...levels,
             beat,
             dominantFrequency,
-            bands,
+            tempo,
+            onsets,
+            lookahead: this.getLookahead(),
+            section,
+            sectionChanged,
+            chroma,
+            key,
+            keyChanged,
+            features,
+            stereo,
+            loudness,
+            onsetEvents,
+            pitch,
+            raw: { volume, energy, bands },
+            silent: this.isSilent,
+            silenceChanged,
             spectrum: Array.from(this.frequencyData),
             waveform: Array.from(this.timeData)
         };
         
+        // Smooth once per frame so every consumer sees the same visualization data
+        this.smoothFrequencyData();
+        
+        this.emitAnalysisEvents(this.currentAnalysis);
+        
         return this.currentAnalysis;
     }
 
-    calculateVolume() {
-        let sum = 0;
-        for (let i = 0; i < this.timeData.length; i++) {
-            const sample = (this.timeData[i] - 128) / 128;
-            sum += sample * sample;
+    emitAnalysisEvents(analysis) {
+        if (analysis.beat) {
+            this.emit('beat', { energy: analysis.energy, tempo: analysis.tempo });
         }
-        return Math.sqrt(sum / this.timeData.length);
-    }
-
-    calculateEnergy() {
-        let sum = 0;
-        for (let i = 0; i < this.frequencyData.length; i++) {
-            sum += this.frequencyData[i] * this.frequencyData[i];
+        
+        // Worklet events carry exact audio times; otherwise report this frame's detections
+        if (analysis.onsetEvents.length) {
+            analysis.onsetEvents.forEach(event => this.emit('onset', event));
+        } else {
+            Object.entries(analysis.onsets).forEach(([band, onset]) => {
+                if (onset.detected) {
+                    this.emit('onset', { band, strength: onset.strength, time: this.audioContext.currentTime });
+                }
+            });
+        }
+        
+        if (analysis.sectionChanged) {
+            this.emit('sectionChange', analysis.section);
+        }
+        
+        if (analysis.silenceChanged) {
+            if (analysis.silent) {
+                this.emit('silence', { since: this.silentSince });
+            } else {
+                this.emit('silenceEnd', this.lastSilence);
+            }
         }
-        return sum / (this.frequencyData.length * 255 * 255);
     }
 
-    detectBeat(currentEnergy) {
-        // Add current energy to history
-        this.energyHistory.push(currentEnergy);
-        if (this.energyHistory.length > this.maxEnergyHistorySize) {
-            this.energyHistory.shift();
+    // Returns true when the input enters or leaves silence on this frame
+    updateSilence(volume, now) {
+        if (volume >= this.silenceThreshold) {
+            const wasSilent = this.isSilent;
+            if (wasSilent) {
+                this.lastSilence = { since: this.silentSince, duration: now - this.silentSince };
+            }
+            this.silentSince = null;
+            this.isSilent = false;
+            return wasSilent;
         }
         
-        // Calculate average energy
-        const averageEnergy = this.energyHistory.reduce((sum, energy) => sum + energy, 0) / this.energyHistory.length;
-        
-        // Calculate variance
-        const variance = this.energyHistory.reduce((sum, energy) => sum + Math.pow(energy - averageEnergy, 2), 0) / this.energyHistory.length;
-        
-        // Beat detection algorithm
-        const now = Date.now();
-        const timeSinceLastBeat = now - this.lastBeatTime;
-        
-        const beatDetected = currentEnergy > (averageEnergy + this.beatThreshold * Math.sqrt(variance)) &&
-                           timeSinceLastBeat > this.beatMinInterval;
+        if (this.silentSince === null) {
+            this.silentSince = now;
+        }
         
-        if (beatDetected) {
-            this.lastBeatTime = now;
+        if (!this.isSilent && now - this.silentSince >= this.silenceDuration) {
+            this.isSilent = true;
             return true;
         }
         
         return false;
     }
 
-    analyzeFrequencyBands() {
-        const bands = {};
-        const binCount = this.frequencyData.length;
+    // Rescale volume, energy and bands to their recent range. The envelopes hold while the
+    // input is below the silence threshold, so quiet gaps are not boosted up to full scale.
+    normalizeLevels({ volume, energy, bands }, now) {
+        const deltaTime = this.lastAnalysisTime === null ? 0 : Math.min(now - this.lastAnalysisTime, 250);
+        this.lastAnalysisTime = now;
         
-        Object.keys(this.frequencyBands).forEach(bandName => {
-            const band = this.frequencyBands[bandName];
-            const startBin = Math.floor(band.start * binCount);
-            const endBin = Math.floor(band.end * binCount);
+        if (!this.normalizeGain) return { volume, energy, bands };
+        
+        const normalizer = this.gainNormalizer;
+        if (volume >= this.silenceThreshold) {
+            normalizer.update('volume', volume, deltaTime);
+            normalizer.update('energy', energy, deltaTime);
+            Object.entries(bands).forEach(([name, level]) => {
+                normalizer.update(`band:${name}`, level, deltaTime);
+            });
             
+            // Bars follow the loudest bin; the floor sits at half the average bin level so that
+            // dense masters regain contrast while quiet high bins stay visible
+            let peak = 0;
             let sum = 0;
-            for (let i = startBin; i < endBin; i++) {
+            for (let i = 0; i < this.frequencyData.length; i++) {
+                peak = Math.max(peak, this.frequencyData[i]);
                 sum += this.frequencyData[i];
             }
-            
-            bands[bandName] = sum / (endBin - startBin) / 255; // Normalize to 0-1
+            normalizer.update('spectrum', peak / 255, deltaTime, sum / (this.frequencyData.length * 255 * 2));
+        }
+        
+        const normalizedBands = {};
+        Object.entries(bands).forEach(([name, level]) => {
+            normalizedBands[name] = normalizer.normalize(`band:${name}`, level);
         });
         
-        return bands;
+        return {
+            volume: normalizer.normalize('volume', volume),
+            energy: normalizer.normalize('energy', energy),
+            bands: normalizedBands
+        };
     }
 
-    getFrequencyRange(startHz, endHz) {
-        const nyquist = this.audioContext.sampleRate / 2;
-        const startBin = Math.floor((startHz / nyquist) * this.frequencyData.length);
-        const endBin = Math.floor((endHz / nyquist) * this.frequencyData.length);
+    // enabled toggles the AGC; attack / release in ms
+    setGainNormalization({ enabled = this.normalizeGain, attack, release } = {}) {
+        this.gainNormalizer.setTiming({ attack, release });
+        if (enabled && !this.normalizeGain) {
+            this.gainNormalizer.reset();
+        }
+        this.normalizeGain = enabled;
+    }
+
+    detectOnsets(time) {
+        if (!this.previousFrequencyData) return this.createEmptyOnsets();
+        
+        const binHz = this.audioContext.sampleRate / this.fftSize;
+        const onsets = {};
+        
+        Object.entries(this.onsetDetectors).forEach(([name, detector]) => {
+            onsets[name] = detector.process(this.frequencyData, this.previousFrequencyData, binHz, time);
+        });
+        
+        return onsets;
+    }
+
+    // Fold the worklet's buffered hops and onset events into this frame's analysis.
+    // Tempo runs on the audio clock here, since the events carry audio timestamps.
+    processWorkletEvents({ hops, onsets: onsetEvents }) {
+        const onsets = this.createEmptyOnsets();
+        onsetEvents.forEach(event => {
+            const current = onsets[event.band];
+            if (current && event.strength >= current.strength) {
+                onsets[event.band] = { detected: true, strength: event.strength, time: event.time };
+            }
+        });
         
-        let sum = 0;
-        for (let i = startBin; i < endBin; i++) {
-            sum += this.frequencyData[i];
+        let tempo = null;
+        let onBeat = false;
+        hops.forEach(hop => {
+            tempo = this.tempoTracker.update(hop.flux, hop.time * 1000);
+            onBeat = onBeat || tempo.onBeat;
+        });
+        
+        if (!tempo) {
+            tempo = this.tempoTracker.getState(this.audioContext.currentTime * 1000);
         }
         
-        return sum / (endBin - startBin) / 255;
+        return { onsets, tempo: { ...tempo, onBeat }, onsetEvents };
     }
 
-    // Get smoothed frequency data for visualization
-    getSmoothedFrequencyData(smoothingFactor = 0.7) {
-        if (!this.lastFrequencyData) {
+    createEmptyOnsets() {
+        const onsets = {};
+        Object.keys(this.onsetDetectors).forEach(name => {
+            onsets[name] = { detected: false, strength: 0 };
+        });
+        return onsets;
+    }
+
+    // Reads both channel analysers and measures balance, phase correlation and mid/side
+    analyzeStereo() {
+        if (!this.channelAnalysers) return this.stereoMeter.createEmptyState();
+        
+        const { left, right } = this.channelAnalysers;
+        left.getFloatTimeDomainData(this.channelTimeData.left);
+        right.getFloatTimeDomainData(this.channelTimeData.right);
+        left.getByteFrequencyData(this.channelFrequencyData.left);
+        right.getByteFrequencyData(this.channelFrequencyData.right);
+        
+        return this.stereoMeter.process(this.channelTimeData.left, this.channelTimeData.right);
+    }
+
+    // The worklet meters every sample. Without it, feed the meter the part of the channel
+    // analysers' buffers that arrived since the previous frame (gaps appear below ~20 FPS).
+    measureLoudness(now) {
+        const worklet = this.isUsingWorklet() ? this.workletAnalysis : null;
+        if (worklet) {
+            return worklet.loudness || LoudnessMeter.createEmptyState();
+        }
+        if (!this.loudnessMeter || !this.channelTimeData) {
+            return LoudnessMeter.createEmptyState();
+        }
+        
+        const { left, right } = this.channelTimeData;
+        const elapsed = this.lastLoudnessTime === null ? 0 : now - this.lastLoudnessTime;
+        const count = Math.min(left.length, Math.round((elapsed / 1000) * this.audioContext.sampleRate));
+        this.lastLoudnessTime = now;
+        
+        return { ...this.loudnessMeter.process([left.subarray(left.length - count), right.subarray(right.length - count)]) };
+    }
+
+    // Restart the integrated loudness, range and true peak measurement
+    resetLoudness() {
+        if (this.loudnessMeter) {
+            this.loudnessMeter.reset();
+        }
+        if (this.workletAnalysis) {
+            this.workletAnalysis.resetLoudness();
+        }
+        this.lastLoudnessTime = null;
+    }
+
+    // Per-channel samples from the last analyze() call, e.g. for an XY / goniometer display
+    getStereoSamples() {
+        return this.channelTimeData || { left: new Float32Array(0), right: new Float32Array(0) };
+    }
+
+    // Per-channel byte spectra from the last analyze() call
+    getChannelSpectra() {
+        return this.channelFrequencyData || { left: new Uint8Array(0), right: new Uint8Array(0) };
+    }
+
+    // Attach the offline analysis of the file currently playing (or null to clear it)
+    setTimeline(timeline) {
+        this.timeline = timeline;
+        this.currentSectionIndex = -1;
+    }
+
+    getLookahead() {
+        if (!this.timeline || this.isLiveInput || !this.mediaElement) return null;
+        return this.timeline.getLookahead(this.mediaElement.currentTime);
+    }
+
+    getCurrentSection() {
+        if (!this.timeline || this.isLiveInput || !this.mediaElement) return null;
+        return this.timeline.getSectionAt(this.mediaElement.currentTime);
+    }
+
+    // True when playback crosses into a different section (not on the first section seen)
+    updateSection(section) {
+        const index = section ? section.index : -1;
+        const changed = index !== this.currentSectionIndex && this.currentSectionIndex !== -1 && index !== -1;
+        this.currentSectionIndex = index;
+        return changed;
+    }
+
+    // Sum of positive spectral changes since the previous frame
+    calculateSpectralFlux() {
+        if (!this.previousFrequencyData) {
+            this.previousFrequencyData = this.frequencyData.slice();
+            return 0;
+        }
+        
+        const flux = calculateSpectralFlux(this.frequencyData, this.previousFrequencyData);
+        this.previousFrequencyData.set(this.frequencyData);
+        return flux;
+    }
+
+    analyzeFrequencyBands() {
+        return AudioUtils.analyzeFrequencyBands(
+            this.frequencyData,
+            this.audioContext.sampleRate,
+            this.fftSize,
+            this.frequencyBands
+        );
+    }
+
+    getFrequencyRange(startHz, endHz) {
+        return AudioUtils.getFrequencyRangeLevel(
+            this.frequencyData,
+            this.audioContext.sampleRate,
+            this.fftSize,
+            startHz,
+            endHz
+        );
+    }
+
+    // Current level (0-1) of a named band
+    getBand(name) {
+        return this.currentAnalysis.bands[name] || 0;
+    }
+
+    getBandDefinitions() {
+        return Object.entries(this.frequencyBands).map(([name, band]) => ({ name, ...band }));
+    }
+
+    addBand(name, minHz, maxHz) {
+        if (this.frequencyBands[name]) {
+            throw new Error(`Frequency band "${name}" already exists`);
+        }
+        this.frequencyBands[name] = this.validateBand(minHz, maxHz);
+    }
+
+    updateBand(name, minHz, maxHz) {
+        if (!this.frequencyBands[name]) {
+            throw new Error(`Unknown frequency band "${name}"`);
+        }
+        this.frequencyBands[name] = this.validateBand(minHz, maxHz);
+    }
+
+    renameBand(oldName, newName) {
+        if (!this.frequencyBands[oldName]) {
+            throw new Error(`Unknown frequency band "${oldName}"`);
+        }
+        if (oldName === newName) return;
+        if (this.frequencyBands[newName]) {
+            throw new Error(`Frequency band "${newName}" already exists`);
+        }
+        
+        // Rebuild to keep the band order stable
+        const renamed = {};
+        Object.entries(this.frequencyBands).forEach(([name, band]) => {
+            renamed[name === oldName ? newName : name] = band;
+        });
+        this.frequencyBands = renamed;
+    }
+
+    removeBand(name) {
+        if (!this.frequencyBands[name]) {
+            throw new Error(`Unknown frequency band "${name}"`);
+        }
+        delete this.frequencyBands[name];
+    }
+
+    validateBand(minHz, maxHz) {
+        if (!Number.isFinite(minHz) || !Number.isFinite(maxHz) || minHz < 0 || maxHz <= minHz) {
+            throw new Error(`Invalid frequency band range: ${minHz}-${maxHz} Hz`);
+        }
+        return { minHz, maxHz };
+    }
+
+    // Advance the visualization smoothing by one frame (called from analyze())
+    smoothFrequencyData(smoothingFactor = 0.7) {
+        if (!this.lastFrequencyData || this.lastFrequencyData.length !== this.frequencyData.length) {
             this.lastFrequencyData = Array.from(this.frequencyData);
-            return this.lastFrequencyData;
+            return;
         }
         
         for (let i = 0; i < this.frequencyData.length; i++) {
@@ -205,35 +876,78 @@ export class AudioAnalyzer {
                 smoothingFactor
             );
         }
-        
-        return this.lastFrequencyData;
     }
 
-    // Get processed frequency data optimized for visualization
-    getVisualizationData(barCount = 64) {
+    // Get smoothed frequency data for visualization
+    getSmoothedFrequencyData() {
+        return this.lastFrequencyData || Array.from(this.frequencyData || []);
+    }
+
+    // Get processed frequency data optimized for visualization: always barCount values.
+    // Options: scale ('linear' | 'log' | 'mel' | 'octave'), minHz, maxHz. The 1/3-octave bands are
+    // measured at their fixed centre frequencies and resampled to barCount bars.
+    getVisualizationData(barCount = 64, options = {}) {
         const smoothedData = this.getSmoothedFrequencyData();
+        const bars = this.getBarBins(barCount, { ...this.visualizationScale, ...options });
         const processed = [];
-        const binSize = Math.floor(smoothedData.length / barCount);
         
-        for (let i = 0; i < barCount; i++) {
-            const start = i * binSize;
-            const end = start + binSize;
+        bars.forEach(({ start, end, center }) => {
+            let value;
             
-            let sum = 0;
-            for (let j = start; j < end; j++) {
-                sum += smoothedData[j];
+            if (end - start <= 1) {
+                // Band narrower than one bin: interpolate between neighbouring bins
+                const lower = Math.floor(center);
+                const upper = Math.min(lower + 1, smoothedData.length - 1);
+                value = MathUtils.lerp(smoothedData[lower], smoothedData[upper], center - lower);
+            } else {
+                let sum = 0;
+                for (let j = start; j < end; j++) {
+                    sum += smoothedData[j];
+                }
+                value = sum / (end - start);
             }
             
-            // Normalize and apply logarithmic scaling for better visualization
-            let value = (sum / binSize) / 255;
-            value = Math.pow(value, 0.7); // Gentle curve for better visual distribution
+            // Normalize (to the recent range when AGC is on) and apply a gentle curve for better visual distribution
+            value = this.normalizeGain ? this.gainNormalizer.normalize('spectrum', value / 255) : value / 255;
+            value = Math.pow(value, 0.7);
             processed.push(value);
+        });
+        
+        return processed.length === barCount ? processed : MathUtils.resample(processed, barCount);
+    }
+
+    // Bin ranges per bar, cached until the scale, FFT size or sample rate changes
+    getBarBins(barCount, { scale, minHz, maxHz }) {
+        const sampleRate = this.audioContext.sampleRate;
+        const nyquist = sampleRate / 2;
+        const key = `${scale}:${barCount}:${minHz}:${maxHz}:${sampleRate}:${this.fftSize}`;
+        
+        if (!this.barBinCache.has(key)) {
+            const edges = FrequencyUtils.getBandEdges(
+                scale,
+                barCount,
+                Math.max(0, minHz),
+                Math.min(maxHz ?? nyquist, nyquist)
+            );
+            this.barBinCache.set(key, FrequencyUtils.getBandBins(edges, sampleRate, this.fftSize));
         }
         
-        return processed;
+        return this.barBinCache.get(key);
     }
 
     dispose() {
+        if (this.frameLoop) {
+            this.frameLoop.stop();
+            this.frameLoop = null;
+        }
+        this.removeAllListeners();
+        this.stopLiveInput();
+        
+        if (this.deckMixer) {
+            this.deckMixer.dispose();
+            this.deckMixer = null;
+        }
+        
         if (this.source) {
             this.source.disconnect();
             this.source = null;
@@ -244,13 +958,29 @@ export class AudioAnalyzer {
             this.analyser = null;
         }
         
+        if (this.workletAnalysis) {
+            this.workletAnalysis.dispose();
+            this.workletAnalysis = null;
+        }
+        
+        if (this.splitter) {
+            this.splitter.disconnect();
+            this.splitter = null;
+            this.channelAnalysers = null;
+            this.channelFrequencyData = null;
+            this.channelTimeData = null;
+        }
+        
         if (this.audioContext) {
             this.audioContext.close();
             this.audioContext = null;
         }
         
         this.frequencyData = null;
+        this.byteFrequencyData = null;
         this.timeData = null;
-        this.energyHistory = [];
+        this.floatTimeData = null;
+        this.timeline = null;
+        this.resetTracking();
     }
 }
\ No newline at end of file
@@ -0,0 +1,131 @@
+// Recognises audio formats from their first bytes rather than the file name or MIME type, and asks
+// the browser whether it can play them. Sniffing works on raw bytes, so it runs in Node too.
+
+import { getId3Size, isAudioMp4 } from './tag-reader.js';
+
+const SNIFF_SIZE = 4096;
+
+// mimeTypes are what canPlayType() is asked, most specific first
+export const AUDIO_FORMATS = {
+    mp3: { name: 'MP3', mimeTypes: ['audio/mpeg'], extensions: ['.mp3', '.mpga'] },
+    aac: { name: 'AAC', mimeTypes: ['audio/aac', 'audio/mp4; codecs="mp4a.40.2"'], extensions: ['.aac', '.adts'] },
+    mp4: { name: 'MPEG-4 audio', mimeTypes: ['audio/mp4', 'audio/x-m4a'], extensions: ['.m4a', '.m4b', '.mp4'] },
+    wav: { name: 'WAV', mimeTypes: ['audio/wav', 'audio/wave', 'audio/x-wav'], extensions: ['.wav', '.wave'] },
+    flac: { name: 'FLAC', mimeTypes: ['audio/flac', 'audio/x-flac'], extensions: ['.flac'] },
+    vorbis: { name: 'Ogg Vorbis', mimeTypes: ['audio/ogg; codecs="vorbis"'], extensions: ['.ogg', '.oga'] },
+    opus: { name: 'Opus', mimeTypes: ['audio/ogg; codecs="opus"', 'audio/webm; codecs="opus"'], extensions: ['.opus'] },
+    ogg: { name: 'Ogg', mimeTypes: ['audio/ogg'], extensions: ['.ogx'] },
+    webm: { name: 'WebM audio', mimeTypes: ['audio/webm'], extensions: ['.webm', '.weba'] },
+    matroska: { name: 'Matroska audio', mimeTypes: ['audio/x-matroska'], extensions: ['.mka'] },
+    aiff: { name: 'AIFF', mimeTypes: ['audio/aiff', 'audio/x-aiff'], extensions: ['.aif', '.aiff', '.aifc'] },
+    caf: { name: 'Core Audio Format', mimeTypes: ['audio/x-caf'], extensions: ['.caf'] }
+};
+
+export const AUDIO_EXTENSIONS = [...new Set(Object.values(AUDIO_FORMATS).flatMap(format => format.extensions))];
+
+function readAscii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function includesAscii(bytes, text) {
+    return readAscii(bytes, 0, bytes.length).includes(text);
+}
+
+// Format id from the first bytes of a file (after any ID3v2 tag), or null when it is not recognised
+export function sniffAudioFormat(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    // Tagged MP3 (or, rarely, AAC): look past the tag when the bytes reach that far
+    const id3Size = getId3Size(bytes);
+    if (id3Size > 0) {
+        return id3Size + 4 <= bytes.length ? sniffAudioFormat(bytes.subarray(id3Size)) || 'mp3' : 'mp3';
+    }
+
+    if (bytes.length < 12) return null;
+
+    if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WAVE') return 'wav';
+    if (readAscii(bytes, 0, 4) === 'FORM' && /^AIF[FC]$/.test(readAscii(bytes, 8, 4))) return 'aiff';
+    if (readAscii(bytes, 0, 4) === 'fLaC') return 'flac';
+    if (readAscii(bytes, 0, 4) === 'caff') return 'caf';
+    if (readAscii(bytes, 4, 4) === 'ftyp') return isAudioMp4(bytes) ? 'mp4' : null;
+
+    // Ogg: the codec is named in the first packet
+    if (readAscii(bytes, 0, 4) === 'OggS') {
+        const codec = readAscii(bytes, 28, 8);
+        if (codec.startsWith('\x01vorbis')) return 'vorbis';
+        if (codec === 'OpusHead') return 'opus';
+        if (codec.startsWith('\x7fFLAC')) return 'flac';
+        return 'ogg';
+    }
+
+    // EBML header; the DocType tells WebM from other Matroska files
+    if (bytes[0] === 0x1a && bytes[1] === 0x45 && bytes[2] === 0xdf && bytes[3] === 0xa3) {
+        return includesAscii(bytes.subarray(0, 64), 'webm') ? 'webm' : 'matroska';
+    }
+
+    // MPEG frame sync after any zero padding: layer bits 00 mean ADTS (AAC), anything else MPEG audio
+    let offset = 0;
+    while (offset < bytes.length - 1 && bytes[offset] === 0) offset++;
+    if (bytes[offset] === 0xff && (bytes[offset + 1] & 0xe0) === 0xe0) {
+        const layer = (bytes[offset + 1] >> 1) & 0x03;
+        if (layer === 0) return (bytes[offset + 1] & 0xf0) === 0xf0 ? 'aac' : null;
+        return 'mp3';
+    }
+
+    return null;
+}
+
+export function getFormatByExtension(fileName) {
+    const name = fileName.toLowerCase();
+    return Object.keys(AUDIO_FORMATS).find(id => AUDIO_FORMATS[id].extensions.some(ext => name.endsWith(ext))) || null;
+}
+
+export function getFormatByMimeType(mimeType) {
+    const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+    if (!type) return null;
+    return Object.keys(AUDIO_FORMATS).find(id => AUDIO_FORMATS[id].mimeTypes.some(mime => mime.split(';')[0] === type)) || null;
+}
+
+let probe = null;
+
+// canPlayType() verdict for a format: 'probably', 'maybe' or '' (cannot play)
+export function getPlaybackSupport(formatId) {
+    if (typeof document === 'undefined' || !AUDIO_FORMATS[formatId]) return '';
+    probe = probe || document.createElement('audio');
+
+    const answers = AUDIO_FORMATS[formatId].mimeTypes.map(mime => probe.canPlayType(mime));
+    if (answers.includes('probably')) return 'probably';
+    return answers.includes('maybe') ? 'maybe' : '';
+}
+
+// { id, name, sniffed, support } for an audio file, or null when it is not audio. The content
+// decides; the name and MIME type only count for files whose first bytes are not recognised.
+export async function inspectAudioFile(file) {
+    const readRange = async (start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer());
+
+    let bytes = await readRange(0, SNIFF_SIZE);
+    const id3Size = getId3Size(bytes);
+    if (id3Size > bytes.length) {
+        bytes = await readRange(id3Size, id3Size + SNIFF_SIZE);
+    }
+
+    const sniffed = sniffAudioFormat(bytes) || (id3Size > 0 ? 'mp3' : null);
+    const id = sniffed || getFormatByMimeType(file.type) || getFormatByExtension(file.name);
+    if (!id) return null;
+
+    return { id, name: AUDIO_FORMATS[id].name, sniffed: sniffed !== null, support: getPlaybackSupport(id) };
+}
+
+// Error message for a file that neither <audio> nor decodeAudioData could play
+export function describeUnplayable(fileName, format) {
+    if (!format) {
+        return `Can't play "${fileName}": it is not an audio file this app recognises`;
+    }
+    if (!format.sniffed) {
+        return `Can't play "${fileName}": its data could not be recognised as ${format.name}, so the file may be damaged`;
+    }
+    if (format.support === '') {
+        return `Can't play "${fileName}": this browser does not support ${format.name}`;
+    }
+    return `Can't play "${fileName}": the ${format.name} data could not be decoded, so the file may be damaged`;
+}
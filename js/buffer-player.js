@@ -0,0 +1,189 @@
+const TIME_UPDATE_INTERVAL = 250; // ms, close to what media elements fire
+
+// Plays a file decoded with decodeAudioData through AudioBufferSourceNodes, for formats the <audio>
+// element cannot play. It mirrors the parts of a media element the app uses (play / pause,
+// currentTime, duration, volume, playbackRate and the matching DOM events), so it can stand in
+// for a deck; that is why it is an EventTarget rather than an EventEmitter.
+export class BufferPlayer extends EventTarget {
+    constructor() {
+        super();
+        
+        this.audioContext = null;
+        this.output = null;
+        this.buffer = null;
+        this.source = null;
+        this.src = '';
+        
+        this.paused = true;
+        this.ended = false;
+        this.position = 0; // Seconds into the buffer when the current source started (or paused)
+        this.startTime = 0; // Context time the current source started
+        this.rate = 1;
+        this.timeUpdateTimer = null;
+    }
+
+    // The output node, created once per context
+    connect(audioContext) {
+        if (!this.output || this.audioContext !== audioContext) {
+            this.audioContext = audioContext;
+            this.output = audioContext.createGain();
+        }
+        return this.output;
+    }
+
+    // Decodes an encoded file; rejects with the decoder's error when it cannot read the data
+    async load(arrayBuffer, src) {
+        if (!this.audioContext) {
+            throw new Error('BufferPlayer is not connected to an audio context');
+        }
+        
+        this.unload();
+        this.buffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        this.src = src;
+        this.dispatch('loadedmetadata');
+        this.dispatch('canplay');
+    }
+
+    get duration() {
+        return this.buffer ? this.buffer.duration : NaN;
+    }
+
+    get currentTime() {
+        if (!this.buffer) return 0;
+        if (this.paused) return this.position;
+        const elapsed = (this.audioContext.currentTime - this.startTime) * this.rate;
+        return Math.min(this.buffer.duration, this.position + elapsed);
+    }
+
+    set currentTime(time) {
+        if (!this.buffer) return;
+        
+        const playing = !this.paused;
+        this.stopSource();
+        this.position = Math.max(0, Math.min(time, this.buffer.duration));
+        this.ended = false;
+        if (playing) {
+            this.startSource();
+        }
+        this.dispatch('timeupdate');
+    }
+
+    get volume() {
+        return this.output ? this.output.gain.value : 1;
+    }
+
+    set volume(volume) {
+        if (this.output) {
+            this.output.gain.value = volume;
+        }
+    }
+
+    get playbackRate() {
+        return this.rate;
+    }
+
+    set playbackRate(rate) {
+        if (!this.paused) {
+            this.position = this.currentTime;
+            this.startTime = this.audioContext.currentTime;
+        }
+        this.rate = rate;
+        if (this.source) {
+            this.source.playbackRate.value = rate;
+        }
+    }
+
+    async play() {
+        if (!this.buffer) {
+            throw new Error('No decoded audio to play');
+        }
+        if (!this.paused) return;
+        
+        if (this.ended) {
+            this.position = 0;
+            this.ended = false;
+        }
+        this.startSource();
+        this.paused = false;
+        this.dispatch('play');
+        
+        this.timeUpdateTimer = setInterval(() => this.dispatch('timeupdate'), TIME_UPDATE_INTERVAL);
+    }
+
+    pause() {
+        if (this.paused) return;
+        
+        this.position = this.currentTime;
+        this.stopSource();
+        this.paused = true;
+        this.stopTimeUpdates();
+        this.dispatch('pause');
+    }
+
+    startSource() {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = this.buffer;
+        source.playbackRate.value = this.rate;
+        source.connect(this.output);
+        source.onended = () => {
+            if (this.source === source) this.handleEnded();
+        };
+        
+        source.start(0, this.position);
+        this.source = source;
+        this.startTime = this.audioContext.currentTime;
+    }
+
+    stopSource() {
+        if (!this.source) return;
+        
+        this.source.onended = null;
+        this.source.stop();
+        this.source.disconnect();
+        this.source = null;
+    }
+
+    // Same order as a media element reaching its end: timeupdate, pause, ended
+    handleEnded() {
+        this.source.disconnect();
+        this.source = null;
+        this.position = this.buffer.duration;
+        this.paused = true;
+        this.ended = true;
+        this.stopTimeUpdates();
+        
+        this.dispatch('timeupdate');
+        this.dispatch('pause');
+        this.dispatch('ended');
+    }
+
+    stopTimeUpdates() {
+        if (this.timeUpdateTimer) {
+            clearInterval(this.timeUpdateTimer);
+            this.timeUpdateTimer = null;
+        }
+    }
+
+    dispatch(type) {
+        this.dispatchEvent(new Event(type));
+    }
+
+    // Stops playback and drops the decoded audio
+    unload() {
+        this.stopSource();
+        this.stopTimeUpdates();
+        this.buffer = null;
+        this.src = '';
+        this.paused = true;
+        this.ended = false;
+        this.position = 0;
+    }
+
+    dispose() {
+        this.unload();
+        if (this.output) {
+            this.output.disconnect();
+            this.output = null;
+        }
+    }
+}
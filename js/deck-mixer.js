@@ -0,0 +1,177 @@
+import { EventEmitter } from './event-emitter.js';
+
+const FADE_CURVE_LENGTH = 128;
+const MIN_FADE = 0.005; // Seconds; a fade-out shorter than this would click
+
+// Equal-power gain curve, so the mix keeps a constant loudness halfway through a crossfade
+function createFadeCurve(fadeIn) {
+    const curve = new Float32Array(FADE_CURVE_LENGTH);
+    for (let i = 0; i < FADE_CURVE_LENGTH; i++) {
+        const position = i / (FADE_CURVE_LENGTH - 1);
+        curve[i] = fadeIn ? Math.sin(position * Math.PI / 2) : Math.cos(position * Math.PI / 2);
+    }
+    return curve;
+}
+
+// Two media elements ("decks") mixed into one output. The next track is loaded on the standby
+// deck and faded in while the active one fades out.
+// Events: 'deckChange' (element) when the standby deck becomes the active one
+export class DeckMixer extends EventEmitter {
+    constructor(elements) {
+        super();
+        
+        if (elements.length !== 2) {
+            throw new Error('DeckMixer needs exactly two media elements');
+        }
+        
+        this.decks = elements.map(element => ({ element, source: null, gain: null }));
+        this.activeIndex = 0;
+        this.audioContext = null;
+        this.output = null;
+        
+        this.isCrossfading = false;
+        this.fadeTimer = null;
+    }
+
+    get elements() {
+        return this.decks.map(deck => deck.element);
+    }
+
+    get active() {
+        return this.decks[this.activeIndex].element;
+    }
+
+    get standby() {
+        return this.decks[1 - this.activeIndex].element;
+    }
+
+    // Wires both decks into the context once (a media element can only ever be wrapped once)
+    connect(audioContext) {
+        if (this.output) return this.output;
+        
+        this.audioContext = audioContext;
+        this.output = audioContext.createGain();
+        this.decks.forEach((deck, index) => {
+            deck.source = audioContext.createMediaElementSource(deck.element);
+            deck.gain = audioContext.createGain();
+            deck.gain.gain.value = index === this.activeIndex ? 1 : 0;
+            deck.source.connect(deck.gain);
+            deck.gain.connect(this.output);
+        });
+        
+        return this.output;
+    }
+
+    // Loads a URL on the standby deck; resolves once it can start playing
+    prepare(url) {
+        const element = this.standby;
+        
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                element.removeEventListener('canplay', onReady);
+                element.removeEventListener('error', onError);
+            };
+            const onReady = () => {
+                cleanup();
+                resolve(element);
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error('Could not load the next track on the standby deck'));
+            };
+            
+            element.addEventListener('canplay', onReady);
+            element.addEventListener('error', onError);
+            element.src = url;
+            element.load();
+        });
+    }
+
+    // Makes the standby deck (which should be playing already) the active one, fading over
+    // for duration seconds. A duration of 0 switches instantly. The fade is timed on the context
+    // clock from the moment the new deck plays, and never outlasts what is left of the old
+    // track, so a transition started late by its timer shortens the fade instead of leaving a gap.
+    crossfade(duration) {
+        if (this.fadeTimer) {
+            clearTimeout(this.fadeTimer);
+            this.fadeTimer = null;
+        }
+        
+        const from = this.decks[this.activeIndex];
+        const to = this.decks[1 - this.activeIndex];
+        this.activeIndex = 1 - this.activeIndex;
+        
+        if (duration > 0 && this.audioContext) {
+            const outgoing = from.element;
+            const remaining = (outgoing.duration - outgoing.currentTime) / (outgoing.playbackRate || 1);
+            const length = Number.isFinite(remaining) && !outgoing.paused
+                ? Math.min(duration, Math.max(remaining, MIN_FADE))
+                : duration;
+            
+            const now = this.audioContext.currentTime;
+            [from, to].forEach(deck => deck.gain.gain.cancelScheduledValues(now));
+            from.gain.gain.setValueCurveAtTime(createFadeCurve(false), now, length);
+            to.gain.gain.setValueCurveAtTime(createFadeCurve(true), now, length);
+            
+            this.isCrossfading = true;
+            this.fadeTimer = setTimeout(() => this.finishCrossfade(), length * 1000);
+        } else {
+            this.finishCrossfade();
+        }
+        
+        this.emit('deckChange', this.active);
+    }
+
+    // Completes a running fade at once: full gain on the active deck, the standby deck stopped
+    finishCrossfade() {
+        if (this.fadeTimer) {
+            clearTimeout(this.fadeTimer);
+            this.fadeTimer = null;
+        }
+        this.isCrossfading = false;
+        
+        this.decks.forEach((deck, index) => {
+            if (deck.gain) {
+                deck.gain.gain.cancelScheduledValues(0);
+                deck.gain.gain.value = index === this.activeIndex ? 1 : 0;
+            }
+        });
+        this.clearStandby();
+    }
+
+    // Stops and unloads the standby deck
+    clearStandby() {
+        const element = this.standby;
+        if (!element.getAttribute('src')) return;
+        
+        element.pause();
+        element.removeAttribute('src');
+        element.load();
+    }
+
+    pause() {
+        this.finishCrossfade();
+        this.active.pause();
+    }
+
+    setVolume(volume) {
+        this.decks.forEach(deck => {
+            deck.element.volume = volume;
+        });
+    }
+
+    dispose() {
+        this.finishCrossfade();
+        this.decks.forEach(deck => {
+            if (deck.source) {
+                deck.source.disconnect();
+                deck.gain.disconnect();
+            }
+        });
+        if (this.output) {
+            this.output.disconnect();
+            this.output = null;
+        }
+        this.removeAllListeners();
+    }
+}
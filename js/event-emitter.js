@@ -0,0 +1,63 @@
+// Minimal named-event emitter
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    // Returns a function that removes the listener again
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, []);
+        }
+        this.listeners.get(event).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+        if (handlers.length === 0) {
+            this.listeners.delete(event);
+        }
+    }
+
+    once(event, handler) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            handler(...args);
+        };
+        return this.on(event, wrapper);
+    }
+
+    emit(event, ...args) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+        
+        // Copy so handlers can unsubscribe while being called
+        handlers.slice().forEach(handler => {
+            try {
+                handler(...args);
+            } catch (error) {
+                console.error(`Error in '${event}' listener:`, error);
+            }
+        });
+    }
+
+    listenerCount(event) {
+        const handlers = this.listeners.get(event);
+        return handlers ? handlers.length : 0;
+    }
+
+    removeAllListeners(event) {
+        if (event === undefined) {
+            this.listeners.clear();
+        } else {
+            this.listeners.delete(event);
+        }
+    }
+}
@@ -0,0 +1,137 @@
+import { EventEmitter } from './event-emitter.js';
+
+// Reads every entry of a directory; readEntries() only returns a batch at a time
+function readDirectory(directory) {
+    const reader = directory.createReader();
+    const entries = [];
+
+    return new Promise((resolve, reject) => {
+        const readBatch = () => {
+            reader.readEntries(batch => {
+                if (batch.length === 0) {
+                    resolve(entries);
+                    return;
+                }
+                entries.push(...batch);
+                readBatch();
+            }, reject);
+        };
+        readBatch();
+    });
+}
+
+function getEntryFile(entry) {
+    return new Promise((resolve, reject) => entry.file(resolve, reject));
+}
+
+// Files below a file system entry, walking subfolders recursively in name order
+async function collectEntryFiles(entry) {
+    if (entry.isFile) {
+        return [await getEntryFile(entry)];
+    }
+    if (!entry.isDirectory) return [];
+
+    const entries = await readDirectory(entry);
+    entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+    const files = [];
+    for (const child of entries) {
+        files.push(...await collectEntryFiles(child));
+    }
+    return files;
+}
+
+// All files in a drop, including the contents of dropped folders.
+// Browsers without entry support only see the top-level files.
+export async function collectDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+    const entries = items.map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+        return Array.from(dataTransfer.files);
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        try {
+            files.push(...await collectEntryFiles(entry));
+        } catch (error) {
+            console.warn(`Could not read "${entry.name}":`, error);
+        }
+    }
+    return files;
+}
+
+// Makes elements accept dropped files and folders. Only drags that carry files are
+// taken, so other drag and drop (e.g. reordering the queue) keeps working.
+// Events: 'files' (File[]) once a drop has been read
+export class FileDropZone extends EventEmitter {
+    constructor(elements) {
+        super();
+        
+        this.targets = elements.map(element => ({ element, depth: 0, listeners: {} }));
+        this.targets.forEach(target => {
+            target.listeners = {
+                dragenter: event => this.handleDragEnter(target, event),
+                dragover: event => this.handleDragOver(event),
+                dragleave: event => this.handleDragLeave(target, event),
+                drop: event => this.handleDrop(target, event)
+            };
+            Object.entries(target.listeners).forEach(([type, listener]) => {
+                target.element.addEventListener(type, listener);
+            });
+        });
+    }
+
+    hasFiles(event) {
+        return Array.from(event.dataTransfer?.types || []).includes('Files');
+    }
+
+    // dragenter / dragleave also fire for every child element, hence the depth count
+    handleDragEnter(target, event) {
+        if (!this.hasFiles(event)) return;
+        
+        event.preventDefault();
+        target.depth++;
+        target.element.classList.add('drop-active');
+    }
+
+    handleDragOver(event) {
+        if (!this.hasFiles(event)) return;
+        
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    }
+
+    handleDragLeave(target, event) {
+        if (!this.hasFiles(event)) return;
+        
+        target.depth = Math.max(0, target.depth - 1);
+        if (target.depth === 0) {
+            target.element.classList.remove('drop-active');
+        }
+    }
+
+    async handleDrop(target, event) {
+        if (!this.hasFiles(event)) return;
+        
+        event.preventDefault();
+        target.depth = 0;
+        target.element.classList.remove('drop-active');
+        
+        const files = await collectDroppedFiles(event.dataTransfer);
+        if (files.length > 0) {
+            this.emit('files', files);
+        }
+    }
+
+    dispose() {
+        this.targets.forEach(target => {
+            Object.entries(target.listeners).forEach(([type, listener]) => {
+                target.element.removeEventListener(type, listener);
+            });
+            target.element.classList.remove('drop-active');
+        });
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,59 @@
+import { MathUtils } from './utils.js';
+
+// Adaptive range normalisation (AGC). Follows the recent peak and floor of each named level
+// with attack / release times, so quiet recordings and loud masters both span 0-1.
+export class GainNormalizer {
+    constructor({ attack = 100, release = 4000, minRange = 0.3, minPeak = 0.001 } = {}) {
+        this.attack = attack; // ms for the envelopes to follow a level moving outwards
+        this.release = release; // ms for them to relax back after it returns
+        this.minRange = minRange; // Fraction of the peak the mapped range always spans
+        this.minPeak = minPeak; // Levels below this are never boosted to full scale
+        this.envelopes = new Map(); // name -> { peak, floor }
+    }
+
+    // Advance one level's envelopes by a frame. floorLevel defaults to the level itself.
+    update(name, level, deltaTime, floorLevel = level) {
+        const envelope = this.envelopes.get(name);
+        if (!envelope) {
+            this.envelopes.set(name, { peak: level, floor: floorLevel });
+            return;
+        }
+        
+        const attack = this.getCoefficient(this.attack, deltaTime);
+        const release = this.getCoefficient(this.release, deltaTime);
+        envelope.peak += (level - envelope.peak) * (level > envelope.peak ? attack : release);
+        envelope.floor += (floorLevel - envelope.floor) * (floorLevel < envelope.floor ? attack : release);
+    }
+
+    // Map a value into 0-1 between the floor and peak envelopes (unknown names are only clamped)
+    normalize(name, value) {
+        const envelope = this.envelopes.get(name);
+        if (!envelope) return MathUtils.clamp(value, 0, 1);
+        
+        const peak = Math.max(envelope.peak, this.minPeak);
+        const floor = Math.min(envelope.floor, peak * (1 - this.minRange));
+        return MathUtils.clamp((value - floor) / (peak - floor), 0, 1);
+    }
+
+    process(name, value, deltaTime) {
+        this.update(name, value, deltaTime);
+        return this.normalize(name, value);
+    }
+
+    // One-pole smoothing coefficient for a time constant, independent of the frame rate
+    getCoefficient(time, deltaTime) {
+        return time > 0 ? 1 - Math.exp(-deltaTime / time) : 1;
+    }
+
+    setTiming({ attack = this.attack, release = this.release } = {}) {
+        if (!(attack >= 0) || !(release >= 0)) {
+            throw new Error(`Invalid AGC timing: attack ${attack} ms, release ${release} ms`);
+        }
+        this.attack = attack;
+        this.release = release;
+    }
+
+    reset() {
+        this.envelopes.clear();
+    }
+}
@@ -0,0 +1,172 @@
+import { MathUtils } from './utils.js';
+
+// Pitch-class names, index 0 = C
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Krumhansl-Kessler key profiles, starting on the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Builds a chroma vector from the spectrum and estimates the musical key from it
+export class KeyDetector {
+    constructor() {
+        // C2: below it the bins mostly hold DC, rumble and kick drums rather than pitched notes. (At
+        // 44.1 kHz a 2048-point FFT's ~21.5 Hz bins only resolve single semitones above ~370 Hz.)
+        this.minHz = 65;
+        this.maxHz = 4200; // Above C8 the spectrum is mostly overtones and noise
+        this.referenceHz = 440;
+        
+        this.chromaDecay = 0.995; // Key chroma accumulates over ~5 seconds at 43 FPS
+        this.minConfidence = 0.15; // Correlation margin over the runner-up key
+        this.keyChangeFrames = 86; // ~2 seconds of a consistent new estimate before switching
+        
+        this.chroma = new Float32Array(12);
+        this.keyChroma = new Float32Array(12);
+        this.binPitchClasses = null;
+        this.binKey = '';
+        
+        this.key = null;
+        this.candidateKey = null;
+        this.candidateFrames = 0;
+    }
+
+    process(frequencyData, binHz) {
+        this.updateBinMapping(frequencyData.length, binHz);
+        
+        // Fold bin energy onto the 12 pitch classes
+        this.chroma.fill(0);
+        for (let i = 0; i < frequencyData.length; i++) {
+            const pitchClass = this.binPitchClasses[i];
+            if (pitchClass < 0) continue;
+            
+            const magnitude = frequencyData[i] / 255;
+            this.chroma[pitchClass] += magnitude * magnitude;
+        }
+        
+        const peak = Math.max(...this.chroma);
+        if (peak > 0) {
+            for (let i = 0; i < 12; i++) {
+                this.chroma[i] /= peak;
+                this.keyChroma[i] = this.keyChroma[i] * this.chromaDecay + this.chroma[i];
+            }
+        }
+        
+        const keyChanged = this.updateKey(this.estimateKey(this.keyChroma));
+        
+        return {
+            chroma: Array.from(this.chroma),
+            key: this.key,
+            keyChanged
+        };
+    }
+
+    // Cache the pitch class of every bin (-1 when outside the analysed range)
+    updateBinMapping(binCount, binHz) {
+        const cacheKey = `${binCount}:${binHz}`;
+        if (this.binKey === cacheKey) return;
+        
+        this.binKey = cacheKey;
+        this.binPitchClasses = new Int8Array(binCount);
+        
+        for (let i = 0; i < binCount; i++) {
+            const hz = i * binHz;
+            if (hz < this.minHz || hz > this.maxHz) {
+                this.binPitchClasses[i] = -1;
+                continue;
+            }
+            
+            const midi = Math.round(69 + 12 * Math.log2(hz / this.referenceHz));
+            this.binPitchClasses[i] = ((midi % 12) + 12) % 12;
+        }
+    }
+
+    // Correlate the chroma with all 24 rotated key profiles
+    estimateKey(chroma) {
+        let best = null;
+        let secondScore = -1;
+        
+        for (let tonic = 0; tonic < 12; tonic++) {
+            [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]].forEach(([mode, profile]) => {
+                const score = this.correlate(chroma, profile, tonic);
+                if (!best || score > best.score) {
+                    if (best) secondScore = best.score;
+                    best = { tonic, mode, score };
+                } else if (score > secondScore) {
+                    secondScore = score;
+                }
+            });
+        }
+        
+        if (!best || best.score <= 0) return null;
+        
+        return {
+            name: `${PITCH_CLASSES[best.tonic]} ${best.mode}`,
+            tonic: best.tonic,
+            mode: best.mode,
+            confidence: MathUtils.clamp((best.score - secondScore) / best.score * 4, 0, 1)
+        };
+    }
+
+    // Pearson correlation between the chroma and a profile rotated to the given tonic
+    correlate(chroma, profile, tonic) {
+        let chromaMean = 0;
+        let profileMean = 0;
+        for (let i = 0; i < 12; i++) {
+            chromaMean += chroma[i];
+            profileMean += profile[i];
+        }
+        chromaMean /= 12;
+        profileMean /= 12;
+        
+        let covariance = 0;
+        let chromaVariance = 0;
+        let profileVariance = 0;
+        for (let i = 0; i < 12; i++) {
+            const a = chroma[(i + tonic) % 12] - chromaMean;
+            const b = profile[i] - profileMean;
+            covariance += a * b;
+            chromaVariance += a * a;
+            profileVariance += b * b;
+        }
+        
+        const denominator = Math.sqrt(chromaVariance * profileVariance);
+        return denominator > 0 ? covariance / denominator : 0;
+    }
+
+    // Only switch key once a different estimate has held for a while; returns true on a change
+    updateKey(estimate) {
+        if (!estimate || estimate.confidence < this.minConfidence) {
+            this.candidateFrames = 0;
+            return false;
+        }
+        
+        if (this.key && estimate.name === this.key.name) {
+            this.key = { ...estimate, confidence: MathUtils.lerp(this.key.confidence, estimate.confidence, 0.05) };
+            this.candidateFrames = 0;
+            return false;
+        }
+        
+        if (this.candidateKey && this.candidateKey.name === estimate.name) {
+            this.candidateFrames++;
+        } else {
+            this.candidateKey = estimate;
+            this.candidateFrames = 1;
+        }
+        
+        if (this.candidateFrames < this.keyChangeFrames) return false;
+        
+        const hadKey = this.key !== null;
+        this.key = estimate;
+        this.candidateKey = null;
+        this.candidateFrames = 0;
+        return hadKey;
+    }
+
+    reset() {
+        this.chroma.fill(0);
+        this.keyChroma.fill(0);
+        this.key = null;
+        this.candidateKey = null;
+        this.candidateFrames = 0;
+    }
+}
@@ -0,0 +1,153 @@
+import { EventEmitter } from './event-emitter.js';
+import { filterTracks, sortTracks } from './music-library.js';
+import { DOMUtils } from './utils.js';
+
+// Library view on the start screen: search and sort the stored tracks. Playback and imports are
+// left to the app through 'play' (record), 'queue' (record) and 'import' events.
+export class LibraryPanel extends EventEmitter {
+    constructor(element, library) {
+        super();
+        
+        this.element = element;
+        this.library = library;
+        this.list = element.querySelector('[data-list]');
+        this.count = element.querySelector('[data-count]');
+        this.empty = element.querySelector('[data-empty]');
+        this.search = element.querySelector('[data-search]');
+        this.sort = element.querySelector('[data-sort]');
+        
+        this.tracks = [];
+        this.renderFrame = null;
+        
+        element.addEventListener('click', this.handleClick.bind(this));
+        this.search.addEventListener('input', this.render.bind(this));
+        this.sort.addEventListener('change', this.render.bind(this));
+        
+        this.removeLibraryListener = library.on('change', this.refresh.bind(this));
+    }
+
+    // Reloads the records; bursts of changes (a folder import) load once per frame
+    refresh() {
+        if (this.renderFrame) return;
+        
+        this.renderFrame = requestAnimationFrame(async () => {
+            this.renderFrame = null;
+            try {
+                this.tracks = await this.library.getAll();
+                this.render();
+            } catch (error) {
+                console.error('Failed to load the library:', error);
+            }
+        });
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        
+        const row = button.closest('[data-id]');
+        const track = row ? this.tracks.find(item => item.id === Number(row.dataset.id)) : null;
+        
+        switch (button.dataset.action) {
+            case 'play':
+            case 'queue':
+                if (track) this.emit(button.dataset.action, track);
+                break;
+            case 'remove':
+                if (track) this.removeTrack(track);
+                break;
+            case 'import':
+                this.emit('import');
+                break;
+        }
+    }
+
+    async removeTrack(track) {
+        try {
+            await this.library.remove(track.id);
+        } catch (error) {
+            console.error('Failed to remove library track:', error);
+            DOMUtils.showToast(`Could not remove "${track.title || track.name}" from the library`, 'error');
+        }
+    }
+
+    // Sort option values are "field:asc" or "field:desc"
+    getVisibleTracks() {
+        const [field, direction] = this.sort.value.split(':');
+        return sortTracks(filterTracks(this.tracks, this.search.value), field, direction === 'desc');
+    }
+
+    render() {
+        const visible = this.getVisibleTracks();
+        
+        if (this.count) {
+            this.count.textContent = this.tracks.length;
+        }
+        if (this.empty) {
+            this.empty.textContent = this.tracks.length === 0
+                ? 'Imported tracks are kept here between sessions.'
+                : 'No tracks match your search.';
+            this.empty.classList.toggle('hidden', visible.length > 0);
+        }
+        
+        this.list.replaceChildren(...visible.map(track => this.createRow(track)));
+    }
+
+    createRow(track) {
+        const row = document.createElement('li');
+        row.className = 'library-item';
+        row.dataset.id = track.id;
+        
+        const play = document.createElement('button');
+        play.className = 'queue-track';
+        play.dataset.action = 'play';
+        play.title = 'Play now';
+        
+        const title = document.createElement('span');
+        title.className = 'queue-title';
+        title.textContent = track.title || track.name;
+        const details = document.createElement('span');
+        details.className = 'queue-artist';
+        details.textContent = [track.artist || 'Unknown Artist', track.album, track.year].filter(Boolean).join(' · ');
+        play.append(title, details);
+        
+        const stats = document.createElement('span');
+        stats.className = 'library-stats';
+        stats.textContent = track.playCount ? `${track.playCount}×` : '';
+        stats.title = track.lastPlayed
+            ? `Played ${track.playCount} time${track.playCount === 1 ? '' : 's'}, last on ${new Date(track.lastPlayed).toLocaleDateString()}`
+            : 'Not played yet';
+        if (track.mood) {
+            const mood = document.createElement('span');
+            mood.className = 'library-mood';
+            mood.textContent = track.mood.mood;
+            stats.prepend(mood);
+        }
+        
+        const controls = document.createElement('span');
+        controls.className = 'queue-item-actions';
+        controls.append(
+            this.createButton('queue', '＋', 'Add to queue'),
+            this.createButton('remove', '✕', 'Remove from library')
+        );
+        
+        row.append(play, stats, controls);
+        return row;
+    }
+
+    createButton(action, label, title) {
+        const button = document.createElement('button');
+        button.dataset.action = action;
+        button.textContent = label;
+        button.title = title;
+        return button;
+    }
+
+    dispose() {
+        if (this.renderFrame) {
+            cancelAnimationFrame(this.renderFrame);
+        }
+        this.removeLibraryListener();
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,280 @@
+// EBU R128 / ITU-R BS.1770-4 loudness metering on Float32Array PCM channels. Free of Web Audio,
+// so the same meter runs in the AudioWorklet, on the main thread and in the Node CLI.
+
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE_INTEGRATED = -10; // LU below the ungated mean
+const RELATIVE_GATE_RANGE = -20;
+
+// Histograms of block loudness in 0.01 LU steps, from the absolute gate up to +5 LUFS
+const HISTOGRAM_MIN = ABSOLUTE_GATE;
+const HISTOGRAM_STEP = 0.01;
+const HISTOGRAM_BINS = 7500;
+
+// True peak: 4x oversampling with a windowed-sinc polyphase interpolator (12 taps per phase)
+const OVERSAMPLING = 4;
+const TAPS_PER_PHASE = 12;
+
+function energyToLoudness(energy) {
+    return energy > 0 ? -0.691 + 10 * Math.log10(energy) : -Infinity;
+}
+
+function loudnessToEnergy(loudness) {
+    return Math.pow(10, (loudness + 0.691) / 10);
+}
+
+function toDecibels(amplitude) {
+    return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+// K-weighting: a high shelf modelling the head, then the RLB high-pass (BS.1770 Annex 1),
+// derived for any sample rate so the meter is not tied to 48 kHz
+function getKWeightingCoefficients(sampleRate) {
+    let f0 = 1681.974450955533;
+    const gain = 3.999843853973347;
+    let q = 0.7071752369554196;
+    let k = Math.tan((Math.PI * f0) / sampleRate);
+    const vh = Math.pow(10, gain / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    let a0 = 1 + k / q + k * k;
+    const shelf = {
+        b0: (vh + (vb * k) / q + k * k) / a0,
+        b1: (2 * (k * k - vh)) / a0,
+        b2: (vh - (vb * k) / q + k * k) / a0,
+        a1: (2 * (k * k - 1)) / a0,
+        a2: (1 - k / q + k * k) / a0
+    };
+
+    f0 = 38.13547087602444;
+    q = 0.5003270373238773;
+    k = Math.tan((Math.PI * f0) / sampleRate);
+    a0 = 1 + k / q + k * k;
+    const highpass = {
+        b0: 1,
+        b1: -2,
+        b2: 1,
+        a1: (2 * (k * k - 1)) / a0,
+        a2: (1 - k / q + k * k) / a0
+    };
+
+    return [shelf, highpass];
+}
+
+// Polyphase coefficients: phase p interpolates the point p / OVERSAMPLING between two samples
+function getInterpolationPhases() {
+    const length = OVERSAMPLING * TAPS_PER_PHASE;
+    const phases = Array.from({ length: OVERSAMPLING }, () => new Float32Array(TAPS_PER_PHASE));
+
+    for (let i = 0; i < length; i++) {
+        const x = (i - (length - 1) / 2) / OVERSAMPLING;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+        const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * (i + 0.5)) / length); // Hann
+        phases[i % OVERSAMPLING][Math.floor(i / OVERSAMPLING)] = sinc * window;
+    }
+
+    return phases;
+}
+
+function createHistogram() {
+    return new Uint32Array(HISTOGRAM_BINS);
+}
+
+function getHistogramBin(loudness) {
+    return Math.min(HISTOGRAM_BINS - 1, Math.floor((loudness - HISTOGRAM_MIN) / HISTOGRAM_STEP));
+}
+
+function getHistogramLoudness(bin) {
+    return HISTOGRAM_MIN + (bin + 0.5) * HISTOGRAM_STEP;
+}
+
+export class LoudnessMeter {
+    constructor({ sampleRate, channelCount = 2 } = {}) {
+        if (!sampleRate) {
+            throw new Error('LoudnessMeter needs a sample rate');
+        }
+        
+        this.sampleRate = sampleRate;
+        this.channelCount = channelCount;
+        this.blockSize = Math.round(sampleRate / 10); // 100 ms sub-blocks
+        this.coefficients = getKWeightingCoefficients(sampleRate);
+        this.phases = getInterpolationPhases();
+        
+        this.reset();
+    }
+
+    reset() {
+        // Per-channel filter state and true-peak history
+        this.filters = Array.from({ length: this.channelCount }, () => [
+            { x1: 0, x2: 0, y1: 0, y2: 0 },
+            { x1: 0, x2: 0, y1: 0, y2: 0 }
+        ]);
+        this.peakHistory = Array.from({ length: this.channelCount }, () => new Float32Array(TAPS_PER_PHASE));
+        this.peakIndex = 0;
+        
+        // Weighted energy of the current sub-block and of the last 30 (3 seconds)
+        this.blockEnergy = 0;
+        this.blockSamples = 0;
+        this.subBlocks = new Float64Array(30);
+        this.subBlockCount = 0;
+        
+        // Gated measurements over the whole programme
+        this.momentaryHistogram = createHistogram();
+        this.shortTermHistogram = createHistogram();
+        
+        this.truePeak = 0; // Linear, maximum since reset
+        this.samplePeak = 0;
+        this.state = LoudnessMeter.createEmptyState();
+    }
+
+    static createEmptyState() {
+        return {
+            momentary: -Infinity, // LUFS, 400 ms window
+            shortTerm: -Infinity, // LUFS, 3 s window
+            integrated: -Infinity, // LUFS, gated, since reset
+            range: 0, // LU, loudness range (LRA)
+            truePeak: -Infinity, // dBTP, maximum since reset
+            samplePeak: -Infinity, // dBFS
+            maxMomentary: -Infinity,
+            maxShortTerm: -Infinity
+        };
+    }
+
+    // channels: one Float32Array per channel, all the same length. Returns the current state.
+    process(channels) {
+        const length = channels[0] ? channels[0].length : 0;
+        const channelCount = Math.min(channels.length, this.channelCount);
+        
+        for (let i = 0; i < length; i++) {
+            let energy = 0;
+            for (let c = 0; c < channelCount; c++) {
+                const sample = channels[c][i];
+                const weighted = this.applyKWeighting(this.filters[c], sample);
+                energy += weighted * weighted; // Channel weights are 1 for L, R and C
+                this.updatePeak(c, sample);
+            }
+            this.peakIndex = (this.peakIndex + 1) % TAPS_PER_PHASE;
+            
+            this.blockEnergy += energy;
+            if (++this.blockSamples >= this.blockSize) {
+                this.completeSubBlock();
+            }
+        }
+        
+        return this.state;
+    }
+
+    applyKWeighting(stages, sample) {
+        let value = sample;
+        for (let s = 0; s < 2; s++) {
+            const { b0, b1, b2, a1, a2 } = this.coefficients[s];
+            const stage = stages[s];
+            const y = b0 * value + b1 * stage.x1 + b2 * stage.x2 - a1 * stage.y1 - a2 * stage.y2;
+            stage.x2 = stage.x1;
+            stage.x1 = value;
+            stage.y2 = stage.y1;
+            stage.y1 = y;
+            value = y;
+        }
+        return value;
+    }
+
+    // Interpolated peak over the last TAPS_PER_PHASE samples of one channel
+    updatePeak(channel, sample) {
+        const history = this.peakHistory[channel];
+        history[this.peakIndex] = sample;
+        
+        const absolute = Math.abs(sample);
+        if (absolute > this.samplePeak) this.samplePeak = absolute;
+        
+        for (let p = 0; p < OVERSAMPLING; p++) {
+            const taps = this.phases[p];
+            let value = 0;
+            for (let t = 0; t < TAPS_PER_PHASE; t++) {
+                value += taps[t] * history[(this.peakIndex - t + TAPS_PER_PHASE) % TAPS_PER_PHASE];
+            }
+            const peak = Math.abs(value);
+            if (peak > this.truePeak) this.truePeak = peak;
+        }
+    }
+
+    // Every 100 ms: update the sliding windows and feed the gated histograms
+    completeSubBlock() {
+        this.subBlocks.copyWithin(0, 1);
+        this.subBlocks[this.subBlocks.length - 1] = this.blockEnergy / this.blockSamples;
+        this.subBlockCount++;
+        this.blockEnergy = 0;
+        this.blockSamples = 0;
+        
+        const state = this.state;
+        state.momentary = this.getWindowLoudness(4);
+        state.shortTerm = this.getWindowLoudness(30);
+        state.maxMomentary = Math.max(state.maxMomentary, state.momentary);
+        state.maxShortTerm = Math.max(state.maxShortTerm, state.shortTerm);
+        
+        // Gating blocks are 400 ms windows with 75% overlap; LRA uses 3 s windows at the same rate
+        if (this.subBlockCount >= 4 && state.momentary > ABSOLUTE_GATE) {
+            this.momentaryHistogram[getHistogramBin(state.momentary)]++;
+        }
+        if (this.subBlockCount >= 30 && state.shortTerm > ABSOLUTE_GATE) {
+            this.shortTermHistogram[getHistogramBin(state.shortTerm)]++;
+        }
+        
+        state.integrated = this.getIntegratedLoudness();
+        state.range = this.getLoudnessRange();
+        state.truePeak = toDecibels(this.truePeak);
+        state.samplePeak = toDecibels(this.samplePeak);
+    }
+
+    getWindowLoudness(subBlockCount) {
+        if (this.subBlockCount < subBlockCount) return -Infinity;
+        
+        let energy = 0;
+        for (let i = this.subBlocks.length - subBlockCount; i < this.subBlocks.length; i++) {
+            energy += this.subBlocks[i];
+        }
+        return energyToLoudness(energy / subBlockCount);
+    }
+
+    // Mean energy (as loudness) of the histogram bins at or above a loudness threshold
+    getGatedLoudness(histogram, threshold) {
+        let energy = 0;
+        let count = 0;
+        for (let bin = Math.max(0, getHistogramBin(threshold)); bin < HISTOGRAM_BINS; bin++) {
+            if (histogram[bin] === 0) continue;
+            energy += histogram[bin] * loudnessToEnergy(getHistogramLoudness(bin));
+            count += histogram[bin];
+        }
+        return count ? energyToLoudness(energy / count) : -Infinity;
+    }
+
+    getIntegratedLoudness() {
+        const ungated = this.getGatedLoudness(this.momentaryHistogram, ABSOLUTE_GATE);
+        if (ungated === -Infinity) return -Infinity;
+        return this.getGatedLoudness(this.momentaryHistogram, ungated + RELATIVE_GATE_INTEGRATED);
+    }
+
+    // EBU Tech 3342: spread between the 10th and 95th percentile of gated short-term loudness
+    getLoudnessRange() {
+        const histogram = this.shortTermHistogram;
+        const ungated = this.getGatedLoudness(histogram, ABSOLUTE_GATE);
+        if (ungated === -Infinity) return 0;
+        
+        const firstBin = Math.max(0, getHistogramBin(ungated + RELATIVE_GATE_RANGE));
+        let total = 0;
+        for (let bin = firstBin; bin < HISTOGRAM_BINS; bin++) {
+            total += histogram[bin];
+        }
+        if (total === 0) return 0;
+        
+        const percentile = fraction => {
+            const target = fraction * (total - 1);
+            let seen = 0;
+            for (let bin = firstBin; bin < HISTOGRAM_BINS; bin++) {
+                seen += histogram[bin];
+                if (seen > target) return getHistogramLoudness(bin);
+            }
+            return getHistogramLoudness(HISTOGRAM_BINS - 1);
+        };
+        
+        return percentile(0.95) - percentile(0.1);
+    }
+}
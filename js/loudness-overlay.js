@@ -0,0 +1,121 @@
+import { MathUtils } from './utils.js';
+
+// Optional EBU R128 meter drawn over the visualizer: momentary and short-term bars plus
+// integrated loudness, loudness range and true peak
+export class LoudnessOverlay {
+    constructor(element) {
+        this.element = element;
+        this.audioAnalyzer = null;
+        this.unsubscribe = null;
+        this.isRunning = false;
+        this.isVisible = false;
+        
+        // Meter scale and limits
+        this.scaleMin = -60; // LUFS at the bottom of the bars
+        this.scaleMax = 0;
+        this.truePeakLimit = -1; // dBTP, values above are flagged
+        this.updateInterval = 100; // ms, the rate at which the meter produces new values
+        this.lastUpdate = 0;
+        
+        this.fills = {};
+        this.values = {};
+        element.querySelectorAll('[data-meter]').forEach(fill => {
+            this.fills[fill.dataset.meter] = fill;
+        });
+        element.querySelectorAll('[data-value]').forEach(value => {
+            this.values[value.dataset.value] = value;
+        });
+        
+        const resetButton = element.querySelector('[data-action="reset"]');
+        if (resetButton) {
+            resetButton.addEventListener('click', this.reset.bind(this));
+        }
+    }
+
+    // Accepts an AudioAnalyzer or anything with the same subscription API (e.g. ReplayAnalyzer)
+    setAudioAnalyzer(analyzer) {
+        const wasRunning = this.isRunning;
+        this.stop();
+        this.audioAnalyzer = analyzer;
+        if (wasRunning) {
+            this.start();
+        }
+    }
+
+    // Follows the visualizers; only subscribes while the overlay is also visible
+    start() {
+        this.isRunning = true;
+        if (this.isVisible && !this.unsubscribe && this.audioAnalyzer) {
+            this.unsubscribe = this.audioAnalyzer.subscribe(this.render.bind(this));
+        }
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    toggle() {
+        this.isVisible = !this.isVisible;
+        this.element.classList.toggle('hidden', !this.isVisible);
+        
+        if (!this.isRunning) return this.isVisible;
+        
+        if (this.isVisible) {
+            this.start();
+        } else if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+        return this.isVisible;
+    }
+
+    reset() {
+        if (this.audioAnalyzer && this.audioAnalyzer.resetLoudness) {
+            this.audioAnalyzer.resetLoudness();
+        }
+    }
+
+    render(analysis, timestamp) {
+        if (!analysis.loudness || timestamp - this.lastUpdate < this.updateInterval) return;
+        this.lastUpdate = timestamp;
+        
+        const { momentary, shortTerm, integrated, range, truePeak } = analysis.loudness;
+        
+        this.setFill('momentary', momentary);
+        this.setFill('shortTerm', shortTerm);
+        this.setValue('momentary', momentary);
+        this.setValue('shortTerm', shortTerm);
+        this.setValue('integrated', integrated);
+        this.setValue('range', range);
+        this.setValue('truePeak', truePeak);
+        
+        if (this.values.truePeak) {
+            this.values.truePeak.classList.toggle('over', Number.isFinite(truePeak) && truePeak > this.truePeakLimit);
+        }
+    }
+
+    setFill(name, loudness) {
+        const fill = this.fills[name];
+        if (!fill) return;
+        
+        // Replayed recordings store silent readings as null
+        const level = Number.isFinite(loudness)
+            ? MathUtils.clamp((loudness - this.scaleMin) / (this.scaleMax - this.scaleMin), 0, 1)
+            : 0;
+        fill.style.width = `${level * 100}%`;
+    }
+
+    setValue(name, value) {
+        const element = this.values[name];
+        if (!element) return;
+        element.textContent = Number.isFinite(value) ? value.toFixed(1) : '–';
+    }
+
+    dispose() {
+        this.stop();
+    }
+}
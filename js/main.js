@@ -3,11 +3,34 @@ import { Visualizer2D } from './visualizer-2d.js';
 import { Visualizer3D } from './visualizer-3d.js';
 import { StreamingServices } from './streaming-services.js';
 import { AIIntegration } from './ai-integration.js';
-import { DOMUtils, PerformanceUtils } from './utils.js';
+import { TrackPreAnalyzer } from './track-preanalyzer.js';
+import { AnalysisRecorder, ReplayAnalyzer } from './analysis-recording.js';
+import { LoudnessOverlay } from './loudness-overlay.js';
+import { SignalGenerator } from './signal-generator.js';
+import { Playlist } from './playlist.js';
+import { PlaylistPanel } from './playlist-panel.js';
+import { DeckMixer } from './deck-mixer.js';
+import { BufferPlayer } from './buffer-player.js';
+import { FileDropZone } from './file-drop.js';
+import { readFileTags } from './tag-reader.js';
+import { AUDIO_EXTENSIONS, inspectAudioFile, describeUnplayable } from './audio-format.js';
+import { MusicLibrary } from './music-library.js';
+import { LibraryPanel } from './library-panel.js';
+import { MediaSessionControls } from './media-session.js';
+import { AudioUtils, DOMUtils, PerformanceUtils } from './utils.js';
+
+const TRANSITION_PRELOAD = 3; // Seconds before a transition to start loading the next track
+const JOIN_CROSSFADE = 0.1; // Seconds of overlap with the crossfade at 0; covers timer jitter and play() start-up
+const PALETTE_BLEND_MIN = 2; // Seconds the palette takes at least to blend into the next track's mood
 
 class MusicVizApp {
     constructor() {
-        this.audioElement = document.getElementById('audio-player');
+        this.deckMixer = new DeckMixer([
+            document.getElementById('audio-player'),
+            document.getElementById('audio-player-b')
+        ]);
+        this.bufferPlayer = new BufferPlayer(); // Decoded playback of files the decks cannot play
+        this.usingBufferPlayer = false;
         this.canvas2D = document.getElementById('canvas-2d');
         this.container3D = document.getElementById('three-container');
         
@@ -15,8 +38,28 @@ class MusicVizApp {
         this.audioAnalyzer = new AudioAnalyzer();
         this.visualizer2D = new Visualizer2D(this.canvas2D);
         this.visualizer3D = new Visualizer3D(this.container3D);
+        this.loudnessOverlay = new LoudnessOverlay(document.getElementById('loudness-meter'));
         this.streamingServices = new StreamingServices();
         this.aiIntegration = new AIIntegration();
+        this.preAnalyzer = new TrackPreAnalyzer();
+        this.recorder = new AnalysisRecorder();
+        this.replayAnalyzer = null;
+        this.signalGenerator = new SignalGenerator();
+        this.playlist = new Playlist();
+        this.playlistPanel = new PlaylistPanel(document.getElementById('queue-panel'), this.playlist);
+        this.library = new MusicLibrary();
+        this.libraryPanel = new LibraryPanel(document.getElementById('library-panel'), this.library);
+        this.libraryAvailable = false;
+        this.fileDrop = new FileDropZone([
+            document.getElementById('main-interface'),
+            document.getElementById('visualizer-container')
+        ]);
+        this.mediaSession = new MediaSessionControls();
+        
+        // Track transitions: crossfade length in seconds (0 joins tracks with a very short crossfade)
+        this.crossfadeTime = 0;
+        this.pendingTransition = null; // Next track prepared on the standby deck
+        this.decoderRetry = null; // { track, autoplay } once a file is retried with the decoder
         
         // State
         this.isPlaying = false;
@@ -31,6 +74,11 @@ class MusicVizApp {
         this.initialize();
     }
 
+    // The deck that is currently heard, or the buffer player for a decoded file
+    get audioElement() {
+        return this.usingBufferPlayer ? this.bufferPlayer : this.deckMixer.active;
+    }
+
     initializeElements() {
         return {
             // Loading
@@ -43,23 +91,43 @@ class MusicVizApp {
             audioFile: document.getElementById('audio-file'),
             musicUrl: document.getElementById('music-url'),
             loadUrlBtn: document.getElementById('load-url'),
+            inputDevice: document.getElementById('input-device'),
+            liveInputBtn: document.getElementById('live-input-btn'),
+            replayFile: document.getElementById('replay-file'),
+            libraryPanel: document.getElementById('library-panel'),
+            libraryFile: document.getElementById('library-file'),
+            crossfadeTime: document.getElementById('crossfade-time'),
+            crossfadeValue: document.getElementById('crossfade-value'),
+            generatorType: document.getElementById('generator-type'),
+            generatorFrequency: document.getElementById('generator-frequency'),
+            generatorBpm: document.getElementById('generator-bpm'),
+            generatorChord: document.getElementById('generator-chord'),
+            generatorLevel: document.getElementById('generator-level'),
+            generatorLevelValue: document.getElementById('generator-level-value'),
+            generatorBtn: document.getElementById('generator-btn'),
             
             // Audio controls
             audioControls: document.getElementById('audio-controls'),
             playPause: document.getElementById('play-pause'),
             playIcon: document.getElementById('play-icon'),
+            progressBar: document.querySelector('.progress-bar'),
+            progressOverview: document.getElementById('progress-overview'),
             progressFill: document.getElementById('progress-fill'),
             currentTime: document.getElementById('current-time'),
             duration: document.getElementById('duration'),
             volumeSlider: document.getElementById('volume-slider'),
             trackTitle: document.getElementById('track-title'),
             trackArtist: document.getElementById('track-artist'),
+            trackDetails: document.getElementById('track-details'),
+            trackArt: document.getElementById('track-art'),
             
             // Visualizer
             visualizerContainer: document.getElementById('visualizer-container'),
             currentMode: document.getElementById('current-mode'),
             modeSwitch: document.getElementById('mode-switch'),
+            meterToggle: document.getElementById('meter-toggle'),
             backBtn: document.getElementById('back-btn'),
+            recordingIndicator: document.getElementById('recording-indicator'),
             
             // Controls
             visualizerToggle: document.getElementById('visualizer-toggle'),
@@ -79,9 +147,16 @@ class MusicVizApp {
             // Setup event listeners
             this.setupEventListeners();
             
+            // List live input devices
+            await this.populateInputDevices();
+            
+            // Open the stored music library
+            await this.initializeLibrary();
+            
             // Initialize visualizers with audio analyzer
             this.visualizer2D.setAudioAnalyzer(this.audioAnalyzer);
             this.visualizer3D.setAudioAnalyzer(this.audioAnalyzer);
+            this.loudnessOverlay.setAudioAnalyzer(this.audioAnalyzer);
             
             // Hide loading screen
             this.hideLoading();
@@ -97,6 +172,7 @@ class MusicVizApp {
     setupEventListeners() {
         // File upload
         this.elements.audioFile.addEventListener('change', this.handleFileUpload.bind(this));
+        this.fileDrop.on('files', this.importFiles.bind(this));
         
         // URL loading
         this.elements.loadUrlBtn.addEventListener('click', this.handleUrlLoad.bind(this));
@@ -106,27 +182,85 @@ class MusicVizApp {
             }
         });
         
+        // Live input
+        this.elements.liveInputBtn.addEventListener('click', this.handleLiveInput.bind(this));
+        if (navigator.mediaDevices) {
+            navigator.mediaDevices.addEventListener('devicechange', this.populateInputDevices.bind(this));
+        }
+        
+        // Test signal generator
+        this.elements.generatorBtn.addEventListener('click', this.handleGeneratorStart.bind(this));
+        ['generatorType', 'generatorChord'].forEach(name => {
+            this.elements[name].addEventListener('change', this.handleGeneratorChange.bind(this));
+        });
+        ['generatorFrequency', 'generatorBpm', 'generatorLevel'].forEach(name => {
+            this.elements[name].addEventListener('input', this.handleGeneratorChange.bind(this));
+        });
+        
+        // Queue
+        this.playlistPanel.on('play', item => {
+            this.playQueueItem(this.playlist.select(item.id), { crossfade: this.getSkipCrossfade() });
+        });
+        this.playlistPanel.on('next', this.playNext.bind(this));
+        this.playlistPanel.on('previous', this.playPrevious.bind(this));
+        this.elements.crossfadeTime.addEventListener('input', this.handleCrossfadeChange.bind(this));
+        
+        // Library
+        this.libraryPanel.on('play', this.playLibraryTrack.bind(this));
+        this.libraryPanel.on('queue', this.queueLibraryTrack.bind(this));
+        this.libraryPanel.on('import', this.handleLibraryImport.bind(this));
+        this.elements.libraryFile.addEventListener('change', this.handleLibraryFileUpload.bind(this));
+        
+        // Analysis replay
+        this.elements.replayFile.addEventListener('change', this.handleReplayLoad.bind(this));
+        
         // Audio controls
         this.elements.playPause.addEventListener('click', this.togglePlayPause.bind(this));
         this.elements.volumeSlider.addEventListener('input', this.handleVolumeChange.bind(this));
         
         // Progress bar interaction
-        const progressContainer = document.querySelector('.progress-bar');
-        progressContainer.addEventListener('click', this.handleProgressClick.bind(this));
+        this.elements.progressBar.addEventListener('click', this.handleProgressClick.bind(this));
+        
+        // Redraw the track overview at the new size
+        window.addEventListener('resize', PerformanceUtils.debounce(() => {
+            if (this.currentTrack && this.currentTrack.timeline) {
+                this.renderProgressOverview(this.currentTrack.timeline);
+            }
+        }, 200));
         
         // Visualizer controls
         this.elements.visualizerToggle.addEventListener('click', this.toggleVisualizerMode.bind(this));
         this.elements.modeSwitch.addEventListener('click', this.toggleVisualizerMode.bind(this));
+        this.elements.meterToggle.addEventListener('click', this.toggleLoudnessMeter.bind(this));
         this.elements.backBtn.addEventListener('click', this.exitVisualizer.bind(this));
         this.elements.fullscreenBtn.addEventListener('click', this.toggleFullscreen.bind(this));
         
-        // Audio element events
-        this.audioElement.addEventListener('loadedmetadata', this.handleAudioLoaded.bind(this));
-        this.audioElement.addEventListener('timeupdate', this.handleTimeUpdate.bind(this));
-        this.audioElement.addEventListener('play', this.handleAudioPlay.bind(this));
-        this.audioElement.addEventListener('pause', this.handleAudioPause.bind(this));
-        this.audioElement.addEventListener('ended', this.handleAudioEnded.bind(this));
-        this.audioElement.addEventListener('error', this.handleAudioError.bind(this));
+        // Audio element events; only the active deck drives the UI
+        const onActiveDeck = handler => event => {
+            if (event.target === this.audioElement) {
+                handler.call(this, event);
+            }
+        };
+        [...this.deckMixer.elements, this.bufferPlayer].forEach(element => {
+            element.addEventListener('loadedmetadata', onActiveDeck(this.handleAudioLoaded));
+            element.addEventListener('timeupdate', onActiveDeck(this.handleTimeUpdate));
+            element.addEventListener('play', onActiveDeck(this.handleAudioPlay));
+            element.addEventListener('pause', onActiveDeck(this.handleAudioPause));
+            element.addEventListener('error', onActiveDeck(this.handleAudioError));
+        });
+        
+        // OS media controls: media keys, headset buttons and the lock screen
+        this.mediaSession.on('play', () => this.playAudio());
+        this.mediaSession.on('pause', () => this.pauseAudio());
+        this.mediaSession.on('stop', () => this.pauseAudio());
+        this.mediaSession.on('next', () => this.playNext());
+        this.mediaSession.on('previous', () => this.playPrevious());
+        this.mediaSession.on('seekby', seconds => this.seekAudio(seconds));
+        this.mediaSession.on('seek', seconds => this.seekTo(seconds));
+        
+        // Analysis events
+        this.audioAnalyzer.on('trackEnd', this.handleAudioEnded.bind(this));
+        this.audioAnalyzer.on('silence', this.handleSilence.bind(this));
         
         // Keyboard shortcuts
         document.addEventListener('keydown', this.handleKeyboard.bind(this));
@@ -142,77 +276,739 @@ class MusicVizApp {
     }
 
     async handleFileUpload(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+        if (files.length === 0) return;
+        
+        await this.importFiles(files);
+    }
+
+    // Queues the audio files among picked or dropped files; the rest (cover images,
+    // playlists, notes from a dropped album folder) is skipped with a single summary
+    async importFiles(files) {
+        const entries = await this.inspectFiles(files);
+        const skipped = files.length - entries.length;
+        
+        if (entries.length === 0) {
+            const message = files.length === 1
+                ? describeUnplayable(files[0].name, null)
+                : 'No audio files found among the selected files';
+            DOMUtils.showToast(message, 'error');
+            return;
+        }
+        
+        const added = await this.enqueue(entries);
+        this.addToLibrary(added);
+        
+        if (skipped > 0) {
+            const tracks = `${entries.length} track${entries.length === 1 ? '' : 's'}`;
+            DOMUtils.showToast(`Queued ${tracks}, skipped ${skipped} non-audio file${skipped === 1 ? '' : 's'}`, 'warning');
+        }
+    }
+
+    // Queue entries for the files recognised as audio by their content, in order
+    async inspectFiles(files) {
+        const formats = await Promise.all(files.map(file => inspectAudioFile(file).catch(error => {
+            console.warn(`Could not read "${file.name}":`, error);
+            return null;
+        })));
+        return files
+            .map((file, index) => formats[index] && this.createFileEntry(file, formats[index]))
+            .filter(Boolean);
+    }
+
+    // Queue entry for a local file, named after the file until its tags are read. Formats
+    // the <audio> element cannot play are decoded with Web Audio instead.
+    createFileEntry(file, format) {
+        return {
+            file,
+            format,
+            decode: format.support === '',
+            title: file.name.replace(/\.[^/.]+$/, ""), // Remove extension
+            artist: 'Unknown Artist',
+            genre: this.guessGenreFromFilename(file.name)
+        };
+    }
+
+    async handleUrlLoad() {
+        const url = this.elements.musicUrl.value.trim();
+        if (!url) return;
         
         try {
-            // Validate file type
-            if (!this.isValidAudioFile(file)) {
-                throw new Error('Unsupported file type. Please use MP3, WAV, M4A, or OGG files.');
+            this.elements.loadUrlBtn.disabled = true;
+            this.elements.loadUrlBtn.textContent = 'Loading...';
+            
+            // Streaming service URLs are resolved when the item plays, the stream links expire
+            await this.enqueue([{
+                url,
+                title: this.streamingServices.isSupportedUrl(url) ? url : 'Audio Stream',
+                artist: 'Unknown Artist'
+            }]);
+            this.elements.musicUrl.value = '';
+        } finally {
+            this.elements.loadUrlBtn.disabled = false;
+            this.elements.loadUrlBtn.textContent = 'Load';
+        }
+    }
+
+    // Adds tracks to the queue. When no queue track is loaded the first one is loaded straight
+    // away, and plays if something else (live input, a test signal) was playing.
+    // Returns the added queue items
+    async enqueue(entries) {
+        const added = this.playlist.add(entries);
+        
+        if (this.isQueuePlayback()) {
+            const count = added.length === 1 ? `"${added[0].title}"` : `${added.length} tracks`;
+            DOMUtils.showToast(`Added ${count} to the queue`, 'success', 2000);
+            return added;
+        }
+        
+        await this.playQueueItem(this.playlist.select(added[0].id), { autoplay: this.isPlaying });
+        return added;
+    }
+
+    // Opens the stored library; without IndexedDB everything but the library view still works
+    async initializeLibrary() {
+        try {
+            await this.library.open();
+            this.libraryAvailable = true;
+            this.libraryPanel.refresh();
+        } catch (error) {
+            console.warn('Music library unavailable:', error);
+            this.elements.libraryPanel.classList.add('hidden');
+        }
+    }
+
+    // Stores files in the library with their tags and links queue items to their records.
+    // Runs in the background after an import; returns how many files were stored.
+    async addToLibrary(entries) {
+        if (!this.libraryAvailable) return 0;
+        
+        let stored = 0;
+        for (const entry of entries) {
+            try {
+                const metadata = await this.readFileMetadata(entry.file, entry);
+                const record = await this.library.add(entry.file, metadata, entry.handle || null);
+                stored++;
+                
+                if (entry.id !== undefined && this.playlist.getItem(entry.id)) {
+                    this.playlist.update(entry.id, { libraryId: record.id });
+                    
+                    // The first track of an import usually started before it was stored
+                    if (this.currentTrack && this.currentTrack.queueId === entry.id) {
+                        this.currentTrack.libraryId = record.id;
+                        await this.library.recordPlay(record.id);
+                    }
+                }
+            } catch (error) {
+                console.warn(`Could not add "${entry.file.name}" to the library:`, error);
+                if (error.name === 'QuotaExceededError') {
+                    DOMUtils.showToast('Library storage is full, the remaining files were not stored', 'warning');
+                    break;
+                }
             }
+        }
+        return stored;
+    }
+
+    // Adds files to the library without queueing them. Where the browser has file system
+    // handles only the handle is stored, so the library keeps no second copy of the file.
+    async handleLibraryImport() {
+        if (!window.showOpenFilePicker) {
+            this.elements.libraryFile.click();
+            return;
+        }
+        
+        try {
+            const handles = await window.showOpenFilePicker({
+                multiple: true,
+                types: [{ description: 'Audio files', accept: { 'audio/*': AUDIO_EXTENSIONS } }]
+            });
+            const files = await Promise.all(handles.map(handle => handle.getFile()));
+            await this.importToLibrary(files, handles);
+        } catch (error) {
+            if (error.name === 'AbortError') return; // Picker closed
+            console.error('Library import failed:', error);
+            DOMUtils.showToast('Failed to add files to the library', 'error');
+        }
+    }
+
+    async handleLibraryFileUpload(event) {
+        const files = Array.from(event.target.files);
+        event.target.value = '';
+        if (files.length === 0) return;
+        
+        await this.importToLibrary(files);
+    }
+
+    // handles: the file system handles the files were read from, stored instead of the files
+    async importToLibrary(files, handles = []) {
+        const entries = await this.inspectFiles(files);
+        entries.forEach(entry => {
+            entry.handle = handles[files.indexOf(entry.file)] || null;
+        });
+        const skipped = files.length - entries.length;
+        
+        const stored = await this.addToLibrary(entries);
+        const summary = `Added ${stored} track${stored === 1 ? '' : 's'} to the library`;
+        DOMUtils.showToast(skipped > 0 ? `${summary}, skipped ${skipped} non-audio file${skipped === 1 ? '' : 's'}` : summary,
+            skipped > 0 ? 'warning' : 'success');
+    }
+
+    // Queue entry for a library track; reading a stored handle may ask for permission first
+    async createLibraryEntry(record) {
+        const file = await this.library.getFile(record);
+        const format = await inspectAudioFile(file);
+        if (!format) {
+            throw new Error(describeUnplayable(record.name, null));
+        }
+        
+        return {
+            ...this.createFileEntry(file, format),
+            title: record.title || record.name,
+            artist: record.artist || 'Unknown Artist',
+            genre: record.genre,
+            libraryId: record.id
+        };
+    }
+
+    async playLibraryTrack(record) {
+        try {
+            const [item] = this.playlist.add([await this.createLibraryEntry(record)]);
+            await this.playQueueItem(this.playlist.select(item.id), { crossfade: this.getSkipCrossfade() });
+        } catch (error) {
+            console.error('Failed to play library track:', error);
+            DOMUtils.showToast(error.message, 'error');
+        }
+    }
+
+    async queueLibraryTrack(record) {
+        try {
+            await this.enqueue([await this.createLibraryEntry(record)]);
+        } catch (error) {
+            console.error('Failed to queue library track:', error);
+            DOMUtils.showToast(error.message, 'error');
+        }
+    }
+
+    // True while a queue track is loaded and has not finished
+    isQueuePlayback() {
+        return !!(this.currentTrack && this.currentTrack.queueId !== undefined && !this.audioElement.ended);
+    }
+
+    // Turns a queue item into a playable URL and its metadata
+    async resolveQueueItem(item) {
+        if (item.file) {
+            const { cover, ...metadata } = await this.readFileMetadata(item.file, item);
+            if (cover) {
+                metadata.albumArtUrl = URL.createObjectURL(cover);
+            }
+            return { url: URL.createObjectURL(item.file), metadata };
+        }
+        
+        if (this.streamingServices.isSupportedUrl(item.url)) {
+            const result = await this.streamingServices.handleUrl(item.url);
+            if (!result || !result.streamUrl) {
+                throw new Error(result?.message || 'Unable to load stream');
+            }
+            return {
+                url: result.streamUrl,
+                metadata: { title: result.title, artist: result.artist }
+            };
+        }
+        
+        return { url: item.url, metadata: { title: item.title, artist: item.artist } };
+    }
+
+    // Embedded tags of a file over the fallback's title, artist and genre; the cover art as a Blob
+    async readFileMetadata(file, fallback) {
+        const metadata = { title: fallback.title, artist: fallback.artist, genre: fallback.genre };
+        
+        try {
+            const { picture, format, ...tags } = await readFileTags(file); // format: the tag format, not track data
+            Object.assign(metadata, tags);
+            if (picture) {
+                metadata.cover = new Blob([picture.data], { type: picture.mimeType });
+            }
+        } catch (error) {
+            console.warn('Could not read tags:', error);
+        }
+        
+        return metadata;
+    }
+
+    // Frees the object URLs made for a queued file: the audio and its embedded cover art
+    revokeFileUrls(url, metadata) {
+        if (url) URL.revokeObjectURL(url);
+        if (metadata && metadata.albumArtUrl) URL.revokeObjectURL(metadata.albumArtUrl);
+    }
+
+    // Loads the playlist's current item. The visualizer stays open, so with autoplay the
+    // visuals carry straight on into the new track. crossfade: seconds, null for a straight cut.
+    async playQueueItem(item, { autoplay = true, crossfade = null } = {}) {
+        if (!item) return;
+        
+        this.cancelTransition();
+        
+        try {
+            const { url, metadata } = await this.resolveQueueItem(item);
             
-            // Create object URL
-            const url = URL.createObjectURL(file);
+            // Skipping again while a stream was resolving: the newer request wins
+            if (this.playlist.currentId !== item.id) {
+                if (item.file) this.revokeFileUrls(url, metadata);
+                return;
+            }
             
-            // Extract metadata
-            const metadata = {
-                title: file.name.replace(/\.[^/.]+$/, ""), // Remove extension
-                artist: 'Unknown Artist',
-                genre: this.guessGenreFromFilename(file.name)
-            };
+            await this.startQueueItem(item, url, metadata, { autoplay, crossfade });
+        } catch (error) {
+            console.error('Failed to load queue item:', error);
+            DOMUtils.showToast(error.message, 'error');
+        }
+    }
+
+    async startQueueItem(item, url, metadata, { autoplay, crossfade }) {
+        const previous = this.currentTrack;
+        
+        // Show resolved stream titles and file tags in the queue (the cover URL belongs to this load)
+        const { albumArtUrl, ...details } = metadata;
+        this.playlist.update(item.id, details);
+        
+        if (item.libraryId !== undefined) {
+            metadata.libraryId = item.libraryId;
+            this.library.recordPlay(item.libraryId).catch(error => console.warn('Could not count the play:', error));
+        }
+        
+        const decodeFile = item.decode ? item.file : null;
+        try {
+            await this.loadAudio(url, metadata, { crossfade, decodeFile });
+        } catch (error) {
+            if (!decodeFile) throw error;
+            throw new Error(describeUnplayable(item.file.name, item.format));
+        }
+        this.currentTrack.queueId = item.id;
+        
+        // The previous file stays readable until its deck has faded out
+        if (previous && previous.file && previous.url !== url) {
+            setTimeout(() => this.revokeFileUrls(previous.url, previous), ((crossfade || 0) + 1) * 1000);
+        }
+        
+        if (item.file) {
+            this.currentTrack.file = item.file;
+            
+            // Analyse the whole file in the background
+            this.startPreAnalysis(item.file);
+        }
+        
+        if (autoplay) {
+            await this.playAudio();
+        } else {
+            DOMUtils.showToast(`Loaded "${metadata.title || 'Unknown Title'}"`, 'success');
+        }
+    }
+
+    // Skipping while a queue track plays crossfades too; at 0 it cuts straight over
+    getSkipCrossfade() {
+        if (this.usingBufferPlayer) return null;
+        return this.isPlaying && this.isQueuePlayback() && this.crossfadeTime > 0 ? this.crossfadeTime : null;
+    }
+
+    playNext() {
+        const item = this.playlist.next();
+        if (!item) {
+            DOMUtils.showToast(this.playlist.length ? 'End of the queue' : 'The queue is empty', 'info', 1500);
+            return;
+        }
+        this.playQueueItem(item, { autoplay: this.isPlaying, crossfade: this.getSkipCrossfade() });
+    }
+
+    // Like most players: restart the track unless it has only just begun
+    playPrevious() {
+        if (this.isQueuePlayback() && this.audioElement.currentTime > 3) {
+            this.cancelTransition();
+            this.audioElement.currentTime = 0;
+            return;
+        }
+        
+        const item = this.playlist.previous();
+        if (!item) {
+            DOMUtils.showToast(this.playlist.length ? 'Start of the queue' : 'The queue is empty', 'info', 1500);
+            return;
+        }
+        this.playQueueItem(item, { autoplay: this.isPlaying, crossfade: this.getSkipCrossfade() });
+    }
+
+    handleCrossfadeChange() {
+        this.crossfadeTime = Number(this.elements.crossfadeTime.value);
+        this.elements.crossfadeValue.textContent = this.crossfadeTime > 0 ? `${this.crossfadeTime} s` : 'Short';
+        
+        // A transition prepared with the old length is prepared again
+        this.cancelTransition();
+    }
+
+    // Shortly before a queue track ends, loads the next one on the standby deck and schedules
+    // its start, so it crossfades in (or joins with a short crossfade) instead of after a loading gap
+    async prepareTransition() {
+        if (this.pendingTransition || !this.isPlaying || !this.isQueuePlayback() || this.deckMixer.isCrossfading) return;
+        
+        const { currentTime, duration } = this.audioElement;
+        if (!Number.isFinite(duration)) return; // Endless streams never end
+        
+        const fade = Math.min(this.crossfadeTime > 0 ? this.crossfadeTime : JOIN_CROSSFADE, duration / 2);
+        if (duration - currentTime > fade + TRANSITION_PRELOAD) return;
+        
+        // Decoded files are not on a deck, so they neither fade out nor in
+        const item = this.playlist.peekNext({ auto: true });
+        if (!item || item.decode || this.usingBufferPlayer) return;
+        
+        const transition = { item, fade, url: null, metadata: null, timer: null, cancelled: false };
+        this.pendingTransition = transition;
+        
+        try {
+            const { url, metadata } = await this.resolveQueueItem(item);
+            if (transition.cancelled) {
+                if (item.file) this.revokeFileUrls(url, metadata);
+                return;
+            }
+            transition.url = url;
+            transition.metadata = metadata;
             
-            // Load the audio
-            await this.loadAudio(url, metadata);
+            await this.deckMixer.prepare(url);
+            if (transition.cancelled) return;
             
-            DOMUtils.showToast('Audio file loaded successfully', 'success');
+            const element = this.audioElement;
+            const wait = (element.duration - element.currentTime - fade) / element.playbackRate;
+            transition.timer = setTimeout(() => this.startTransition(transition), Math.max(0, wait * 1000));
+        } catch (error) {
+            // Left pending so it is not retried; the track ends and the next one loads normally
+            console.warn('Could not prepare the next track:', error);
+            if (!transition.cancelled) {
+                this.deckMixer.clearStandby();
+            }
+        }
+    }
+
+    async startTransition(transition) {
+        if (this.pendingTransition !== transition) return;
+        this.pendingTransition = null;
+        
+        // The queue changed since the track was prepared: fall back to loading at the end
+        const { item, url, metadata, fade } = transition;
+        if (this.playlist.peekNext({ auto: true }) !== item) {
+            if (item.file) this.revokeFileUrls(url, metadata);
+            this.deckMixer.clearStandby();
+            return;
+        }
+        
+        try {
+            this.playlist.next({ auto: true });
+            await this.startQueueItem(item, url, metadata, { autoplay: true, crossfade: fade });
         } catch (error) {
-            console.error('File upload error:', error);
+            console.error('Track transition failed:', error);
             DOMUtils.showToast(error.message, 'error');
         }
     }
 
-    async handleUrlLoad() {
-        const url = this.elements.musicUrl.value.trim();
-        if (!url) return;
+    // Drops a prepared transition, e.g. after a seek, a skip or a pause
+    cancelTransition() {
+        const transition = this.pendingTransition;
+        if (!transition) return;
         
+        this.pendingTransition = null;
+        transition.cancelled = true;
+        clearTimeout(transition.timer);
+        if (transition.item.file) {
+            this.revokeFileUrls(transition.url, transition.metadata);
+        }
+        this.deckMixer.clearStandby();
+    }
+
+    // Stops file playback on both decks (and decoded playback) before switching to another source
+    stopDecks() {
+        this.cancelTransition();
+        this.deckMixer.pause();
+        this.bufferPlayer.pause();
+    }
+
+    async handleLiveInput() {
         try {
-            this.elements.loadUrlBtn.disabled = true;
-            this.elements.loadUrlBtn.textContent = 'Loading...';
+            this.elements.liveInputBtn.disabled = true;
             
-            // Check if it's a streaming service URL
-            if (this.streamingServices.isSupportedUrl(url)) {
-                const result = await this.streamingServices.handleUrl(url);
-                
-                if (result && result.streamUrl) {
-                    await this.loadAudio(result.streamUrl, {
-                        title: result.title,
-                        artist: result.artist
-                    });
-                    DOMUtils.showToast('Stream loaded successfully', 'success');
-                } else {
-                    DOMUtils.showToast(result?.message || 'Unable to load stream', 'warning');
-                }
-            } else {
-                // Try to load as direct audio URL
-                await this.loadAudio(url, {
-                    title: 'Audio Stream',
-                    artist: 'Unknown Artist'
-                });
-                DOMUtils.showToast('Direct audio stream loaded', 'success');
+            // Stop file playback so only the live signal is analysed
+            this.stopDecks();
+            this.clearPreAnalysis();
+            this.stopReplay();
+            this.signalGenerator.stop();
+            
+            const deviceId = this.elements.inputDevice.value || null;
+            const connected = await this.audioAnalyzer.initializeLiveInput(deviceId);
+            if (!connected) {
+                throw new Error('Could not access audio input. Check microphone permissions.');
             }
+            
+            // Device labels only become available once permission is granted
+            await this.populateInputDevices();
+            const selected = this.elements.inputDevice.selectedOptions[0];
+            
+            this.currentTrack = {
+                url: null,
+                title: 'Live Input',
+                artist: selected ? selected.textContent : 'Default input',
+                isLive: true,
+                loadTime: Date.now()
+            };
+            
+            this.updateTrackInfo(this.currentTrack);
+            DOMUtils.show(this.elements.audioControls);
+            
+            this.isPlaying = true;
+            this.elements.playIcon.textContent = '⏸';
+            this.enterVisualizer();
+            
+            DOMUtils.showToast('Live input connected', 'success');
         } catch (error) {
-            console.error('URL load error:', error);
-            DOMUtils.showToast('Failed to load audio from URL', 'error');
+            console.error('Live input error:', error);
+            DOMUtils.showToast(error.message, 'error');
         } finally {
-            this.elements.loadUrlBtn.disabled = false;
-            this.elements.loadUrlBtn.textContent = 'Load';
+            this.elements.liveInputBtn.disabled = false;
         }
     }
 
-    async loadAudio(url, metadata) {
+    async populateInputDevices() {
         try {
-            // Set audio source
-            this.audioElement.src = url;
+            const devices = await AudioUtils.getAudioInputDevices();
+            const select = this.elements.inputDevice;
+            const previous = select.value;
+            
+            select.innerHTML = '<option value="">Default input</option>';
+            devices.forEach(device => {
+                const option = document.createElement('option');
+                option.value = device.deviceId;
+                option.textContent = device.label;
+                select.appendChild(option);
+            });
+            
+            // Keep the current choice if the device is still present
+            if (devices.some(device => device.deviceId === previous)) {
+                select.value = previous;
+            }
+        } catch (error) {
+            console.warn('Could not list audio inputs:', error);
+        }
+    }
+
+    isLiveInput() {
+        return !!(this.currentTrack && this.currentTrack.isLive);
+    }
+
+    isReplay() {
+        return !!this.replayAnalyzer;
+    }
+
+    isGenerator() {
+        return !!(this.currentTrack && this.currentTrack.isGenerator);
+    }
+
+    getGeneratorSettings() {
+        return {
+            type: this.elements.generatorType.value,
+            frequency: Number(this.elements.generatorFrequency.value),
+            bpm: Number(this.elements.generatorBpm.value),
+            chord: this.elements.generatorChord.value,
+            level: Number(this.elements.generatorLevel.value)
+        };
+    }
+
+    async handleGeneratorStart() {
+        try {
+            this.elements.generatorBtn.disabled = true;
+            
+            this.stopDecks();
+            this.clearPreAnalysis();
+            this.stopReplay();
+            
+            const connected = await this.audioAnalyzer.initializeGenerator(this.signalGenerator, this.getGeneratorSettings());
+            if (!connected) {
+                throw new Error('Could not start the test signal');
+            }
+            
+            // Behaves like live input: no timeline, play / pause only mute the signal
+            this.currentTrack = {
+                url: null,
+                title: 'Test Signal',
+                artist: this.signalGenerator.describe(),
+                isLive: true,
+                isGenerator: true,
+                loadTime: Date.now()
+            };
+            
+            this.updateTrackInfo(this.currentTrack);
+            DOMUtils.show(this.elements.audioControls);
+            
+            this.isPlaying = true;
+            this.elements.playIcon.textContent = '⏸';
+            this.enterVisualizer();
+        } catch (error) {
+            console.error('Signal generator error:', error);
+            DOMUtils.showToast(error.message, 'error');
+        } finally {
+            this.elements.generatorBtn.disabled = false;
+        }
+    }
+
+    // Show the fields for the selected signal and retune a running generator
+    handleGeneratorChange() {
+        const settings = this.getGeneratorSettings();
+        this.elements.generatorLevelValue.textContent = `${settings.level} dBFS`;
+        document.querySelectorAll('.generator-field[data-types]').forEach(field => {
+            field.classList.toggle('hidden', !field.dataset.types.split(' ').includes(settings.type));
+        });
+        
+        if (!this.signalGenerator.isRunning) return;
+        
+        try {
+            this.signalGenerator.update(settings);
+            if (this.isGenerator()) {
+                this.currentTrack.artist = this.signalGenerator.describe();
+                this.updateTrackInfo(this.currentTrack);
+            }
+        } catch (error) {
+            console.warn('Invalid test signal settings:', error);
+        }
+    }
+
+    async handleReplayLoad(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        
+        try {
+            const recording = await AnalysisRecorder.fromFile(file);
+            
+            this.stopDecks();
+            this.clearPreAnalysis();
+            this.audioAnalyzer.stopLiveInput();
+            this.signalGenerator.stop();
+            this.stopReplay();
+            
+            // Visualizers read from the replay exactly as they would from the live analyzer
+            const replay = new ReplayAnalyzer(recording);
+            replay.on('trackEnd', this.handleAudioEnded.bind(this));
+            replay.subscribe(this.updateReplayProgress.bind(this));
+            this.replayAnalyzer = replay;
+            this.visualizer2D.setAudioAnalyzer(replay);
+            this.visualizer3D.setAudioAnalyzer(replay);
+            this.loudnessOverlay.setAudioAnalyzer(replay);
+            
+            const metadata = recording.metadata || {};
+            this.currentTrack = {
+                url: null,
+                title: `${metadata.title || file.name} (replay)`,
+                artist: metadata.artist || 'Analysis recording',
+                isReplay: true,
+                loadTime: Date.now()
+            };
+            
+            this.updateTrackInfo(this.currentTrack);
+            this.elements.duration.textContent = DOMUtils.formatTime(replay.duration / 1000);
+            DOMUtils.show(this.elements.audioControls);
+            
+            replay.play();
+            this.isPlaying = true;
+            this.elements.playIcon.textContent = '⏸';
+            this.enterVisualizer();
+        } catch (error) {
+            console.error('Failed to load analysis recording:', error);
+            DOMUtils.showToast(error.message, 'error');
+        }
+    }
+
+    // Hands the visualizers back to the real analyzer
+    stopReplay() {
+        if (!this.replayAnalyzer) return;
+        
+        this.replayAnalyzer.dispose();
+        this.replayAnalyzer = null;
+        this.visualizer2D.setAudioAnalyzer(this.audioAnalyzer);
+        this.visualizer3D.setAudioAnalyzer(this.audioAnalyzer);
+        this.loudnessOverlay.setAudioAnalyzer(this.audioAnalyzer);
+    }
+
+    updateReplayProgress() {
+        const replay = this.replayAnalyzer;
+        if (!replay || !replay.duration) return;
+        
+        const progress = Math.min(100, (replay.position / replay.duration) * 100);
+        this.elements.progressFill.style.width = `${progress}%`;
+        this.elements.currentTime.textContent = DOMUtils.formatTime(replay.position / 1000);
+    }
+
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            this.stopRecording();
+            return;
+        }
+        
+        if (this.isReplay() || !this.audioAnalyzer.audioContext) {
+            DOMUtils.showToast('Start playing music or live input to record its analysis', 'info');
+            return;
+        }
+        
+        const { title, artist } = this.currentTrack || {};
+        this.recorder.start(this.audioAnalyzer, {
+            visualizations: [
+                { barCount: 64, ...this.visualizer2D.frequencyScale },
+                { barCount: 64, ...this.visualizer3D.frequencyScale }
+            ],
+            metadata: { title, artist }
+        });
+        this.elements.recordingIndicator.classList.remove('hidden');
+        DOMUtils.showToast('Recording analysis (press R to stop)', 'info', 2000);
+    }
+
+    async stopRecording() {
+        const recording = this.recorder.stop();
+        this.elements.recordingIndicator.classList.add('hidden');
+        
+        if (recording.frames.length === 0) {
+            DOMUtils.showToast('Nothing was recorded', 'info');
+            return;
+        }
+        
+        try {
+            const blob = await AnalysisRecorder.toBlob(recording);
+            const extension = blob.type === 'application/json' ? 'json' : 'json.gz';
+            const url = URL.createObjectURL(blob);
+            
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `musicviz-analysis-${Date.now()}.${extension}`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+            const seconds = Math.round(recording.duration / 1000);
+            DOMUtils.showToast(`Saved ${seconds}s of analysis${recording.truncated ? ' (limit reached)' : ''}`, 'success');
+        } catch (error) {
+            console.error('Failed to save analysis recording:', error);
+            DOMUtils.showToast('Failed to save analysis recording', 'error');
+        }
+    }
+
+    // crossfade: seconds to fade from the playing track, which keeps playing on the other deck.
+    // decodeFile: a file to decode and play with Web Audio instead (never crossfaded).
+    async loadAudio(url, metadata, { crossfade = null, decodeFile = null } = {}) {
+        try {
+            this.clearPreAnalysis();
+            this.stopReplay();
+            this.signalGenerator.stop();
+            
+            if (decodeFile) {
+                crossfade = null;
+                this.deckMixer.finishCrossfade();
+                this.deckMixer.pause();
+            } else {
+                this.usingBufferPlayer = false;
+                this.bufferPlayer.unload();
+            }
             
             // Store track info
             this.currentTrack = {
@@ -221,16 +1017,37 @@ class MusicVizApp {
                 loadTime: Date.now()
             };
             
-            // Initialize audio analyzer
-            await this.audioAnalyzer.initialize(this.audioElement);
+            if (decodeFile) {
+                await this.loadDecoded(decodeFile, url);
+            } else {
+                // Set audio source: straight on the active deck, or on the standby deck to fade over to
+                const deck = crossfade === null ? this.audioElement : this.deckMixer.standby;
+                if (crossfade === null) {
+                    this.deckMixer.finishCrossfade();
+                    deck.src = url;
+                } else if (deck.src !== url) {
+                    this.deckMixer.finishCrossfade();
+                    await this.deckMixer.prepare(url);
+                }
+                
+                // Initialize audio analyzer
+                await this.audioAnalyzer.initializeDecks(this.deckMixer);
+            }
+            
+            if (crossfade !== null) {
+                await this.deckMixer.standby.play();
+                this.deckMixer.crossfade(crossfade);
+                this.handleAudioLoaded();
+            }
             
             // Update UI
             this.updateTrackInfo(metadata);
             DOMUtils.show(this.elements.audioControls);
             
-            // AI analysis
+            // AI analysis; over a crossfade the palette blends from the old track's mood
             if (metadata.title !== 'Unknown') {
-                this.performAIAnalysis(metadata);
+                const blendTime = crossfade === null ? 0 : Math.max(crossfade, PALETTE_BLEND_MIN) * 1000;
+                this.performAIAnalysis(metadata, blendTime);
             }
             
         } catch (error) {
@@ -239,13 +1056,101 @@ class MusicVizApp {
         }
     }
 
-    async performAIAnalysis(metadata) {
+    // Decodes the whole file into memory and plays it through the buffer player
+    async loadDecoded(file, url) {
+        const connected = await this.audioAnalyzer.initializeBufferPlayer(this.bufferPlayer);
+        if (!connected) {
+            throw new Error('Web Audio is not available');
+        }
+        
+        this.usingBufferPlayer = true;
+        this.bufferPlayer.volume = Number(this.elements.volumeSlider.value);
+        await this.bufferPlayer.load(await file.arrayBuffer(), url);
+    }
+
+    async startPreAnalysis(file) {
+        const progressBar = this.elements.progressBar;
+        const isCurrent = () => this.currentTrack && this.currentTrack.file === file;
+        
+        progressBar.classList.add('analyzing');
+        progressBar.style.setProperty('--analysis-progress', '0%');
+        
+        try {
+            const timeline = await this.preAnalyzer.analyzeFile(file, progress => {
+                if (isCurrent()) {
+                    progressBar.style.setProperty('--analysis-progress', `${Math.round(progress * 100)}%`);
+                }
+            });
+            
+            // Ignore results for a track that is no longer loaded
+            if (!timeline || !isCurrent()) return;
+            
+            this.currentTrack.timeline = timeline;
+            this.audioAnalyzer.setTimeline(timeline);
+            this.renderProgressOverview(timeline);
+        } catch (error) {
+            console.warn('Track pre-analysis failed:', error);
+        } finally {
+            if (isCurrent()) {
+                progressBar.classList.remove('analyzing');
+            }
+        }
+    }
+
+    clearPreAnalysis() {
+        this.preAnalyzer.cancel();
+        this.audioAnalyzer.setTimeline(null);
+        
+        const progressBar = this.elements.progressBar;
+        progressBar.classList.remove('analyzing', 'has-overview');
+        
+        const canvas = this.elements.progressOverview;
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    }
+
+    // Draw the track's energy curve behind the progress fill
+    renderProgressOverview(timeline) {
+        const progressBar = this.elements.progressBar;
+        progressBar.classList.add('has-overview');
+        
+        const canvas = this.elements.progressOverview;
+        const dpr = window.devicePixelRatio || 1;
+        const rect = canvas.getBoundingClientRect();
+        canvas.width = rect.width * dpr;
+        canvas.height = rect.height * dpr;
+        
+        const ctx = canvas.getContext('2d');
+        const barWidth = 2 * dpr;
+        const overview = timeline.getOverview(Math.max(1, Math.floor(canvas.width / barWidth)));
+        
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+        
+        overview.forEach((value, index) => {
+            const height = Math.max(1, value * canvas.height);
+            ctx.fillRect(index * barWidth, (canvas.height - height) / 2, barWidth - dpr * 0.5, height);
+        });
+    }
+
+    async performAIAnalysis(metadata, blendTime = 0) {
         try {
-            const analysis = await this.aiIntegration.analyzeTrack(metadata);
+            // A mood analysed in an earlier session is reused from the library
+            const record = metadata.libraryId !== undefined ? await this.library.get(metadata.libraryId) : null;
+            if (record && record.mood) {
+                this.aiIntegration.cacheMood(metadata, record.mood);
+            }
+            
+            const analysis = await this.aiIntegration.analyzeTrack(metadata, metadata.albumArtUrl);
+            
+            // Only model answers are worth keeping; fallbacks are recomputed for free
+            if (record && !record.mood && analysis.source === 'ai') {
+                const { mood, energy, reasoning, source } = analysis;
+                await this.library.update(record.id, { mood: { mood, energy, reasoning, source } });
+            }
             
             // Update visualizers with AI insights
-            this.visualizer2D.updateColorPalette(analysis.mood, analysis.energy);
-            this.visualizer3D.updateColorPalette(analysis.mood, analysis.energy);
+            this.visualizer2D.updateColorPalette(analysis.mood, analysis.energy, blendTime);
+            this.visualizer3D.updateColorPalette(analysis.mood, analysis.energy, blendTime);
             
             console.log('AI Analysis applied:', analysis);
             DOMUtils.showToast(`Mood: ${analysis.mood} (${analysis.source})`, 'info', 2000);
@@ -257,14 +1162,20 @@ class MusicVizApp {
     updateTrackInfo(metadata) {
         this.elements.trackTitle.textContent = metadata.title || 'Unknown Title';
         this.elements.trackArtist.textContent = metadata.artist || 'Unknown Artist';
-    }
-
-    isValidAudioFile(file) {
-        const validTypes = ['audio/mp3', 'audio/mpeg', 'audio/wav', 'audio/m4a', 'audio/ogg'];
-        const validExtensions = ['.mp3', '.wav', '.m4a', '.ogg'];
         
-        return validTypes.includes(file.type) || 
-               validExtensions.some(ext => file.name.toLowerCase().endsWith(ext));
+        // Album, year and tagged tempo, as far as the tags have them
+        const details = [metadata.album, metadata.year, metadata.bpm && `${metadata.bpm} BPM`].filter(Boolean);
+        this.elements.trackDetails.textContent = details.join(' · ');
+        this.elements.trackDetails.classList.toggle('hidden', details.length === 0);
+        
+        if (metadata.albumArtUrl) {
+            this.elements.trackArt.src = metadata.albumArtUrl;
+        } else {
+            this.elements.trackArt.removeAttribute('src');
+        }
+        this.elements.trackArt.classList.toggle('hidden', !metadata.albumArtUrl);
+        
+        this.mediaSession.setMetadata(metadata);
     }
 
     guessGenreFromFilename(filename) {
@@ -296,6 +1207,21 @@ class MusicVizApp {
     }
 
     async playAudio() {
+        if (this.isReplay()) {
+            this.replayAnalyzer.play();
+        }
+        if (this.isGenerator()) {
+            this.signalGenerator.resume();
+        }
+        
+        if (this.isLiveInput() || this.isReplay()) {
+            this.isPlaying = true;
+            this.elements.playIcon.textContent = '⏸';
+            this.mediaSession.setPlaying(true);
+            this.startVisualizers();
+            return;
+        }
+        
         try {
             await this.audioElement.play();
             this.isPlaying = true;
@@ -304,18 +1230,51 @@ class MusicVizApp {
             // Start visualizers
             this.startVisualizers();
         } catch (error) {
+            // The element's error event may already have started the retry; it plays once decoded
+            if (error.name === 'NotSupportedError' && this.currentTrack && this.currentTrack.file) {
+                if (this.decoderRetry && this.decoderRetry.track === this.currentTrack) {
+                    this.decoderRetry.autoplay = true;
+                    return;
+                }
+                if (this.canUseDecoder()) {
+                    this.retryWithDecoder(true);
+                    return;
+                }
+            }
             console.error('Failed to play audio:', error);
             DOMUtils.showToast('Failed to play audio', 'error');
         }
     }
 
     pauseAudio() {
-        this.audioElement.pause();
+        if (this.isReplay()) {
+            this.replayAnalyzer.pause();
+        }
+        
+        // A muted test signal fades the visualizers to idle like a paused file
+        if (this.isGenerator()) {
+            this.signalGenerator.pause();
+            this.isPlaying = false;
+            this.elements.playIcon.textContent = '▶';
+            this.mediaSession.setPlaying(false);
+            this.idleVisualizers();
+            return;
+        }
+        
+        if (this.isLiveInput() || this.isReplay()) {
+            this.isPlaying = false;
+            this.elements.playIcon.textContent = '▶';
+            this.mediaSession.setPlaying(false);
+            this.pauseVisualizers();
+            return;
+        }
+        
+        this.stopDecks();
         this.isPlaying = false;
         this.elements.playIcon.textContent = '▶';
         
-        // Pause visualizers
-        this.pauseVisualizers();
+        // Let the visualizers fade to idle
+        this.idleVisualizers();
     }
 
     startVisualizers() {
@@ -326,26 +1285,58 @@ class MusicVizApp {
             this.visualizer2D.start();
             this.visualizer3D.stop();
         }
+        this.loudnessOverlay.start();
     }
 
     pauseVisualizers() {
         this.visualizer2D.stop();
         this.visualizer3D.stop();
+        this.loudnessOverlay.stop();
+    }
+
+    // Stopped file playback keeps an open visualizer running, so it fades to its idle state
+    // once the analyzer reports silence instead of freezing on the last frame
+    idleVisualizers() {
+        if (this.elements.visualizerContainer.classList.contains('hidden')) {
+            this.pauseVisualizers();
+        } else {
+            this.startVisualizers();
+        }
     }
 
     handleVolumeChange(event) {
         const volume = parseFloat(event.target.value);
-        this.audioElement.volume = volume;
+        this.setOutputVolume(volume);
+    }
+
+    setOutputVolume(volume) {
+        this.deckMixer.setVolume(volume);
+        this.bufferPlayer.volume = volume;
     }
 
     handleProgressClick(event) {
         const rect = event.currentTarget.getBoundingClientRect();
         const clickX = event.clientX - rect.left;
         const progress = clickX / rect.width;
-        const newTime = progress * this.audioElement.duration;
         
-        if (!isNaN(newTime)) {
-            this.audioElement.currentTime = newTime;
+        if (this.isReplay()) {
+            this.replayAnalyzer.seek(progress * this.replayAnalyzer.duration);
+            return;
+        }
+        
+        this.seekTo(progress * this.audioElement.duration);
+    }
+
+    // Jumps to a position in seconds, in the playing file or the replayed recording
+    seekTo(seconds) {
+        if (this.isReplay()) {
+            this.replayAnalyzer.seek(seconds * 1000);
+            return;
+        }
+        
+        if (!isNaN(seconds) && this.audioElement.duration) {
+            this.cancelTransition();
+            this.audioElement.currentTime = Math.max(0, Math.min(seconds, this.audioElement.duration));
         }
     }
 
@@ -363,31 +1354,112 @@ class MusicVizApp {
             this.elements.progressFill.style.width = `${progress}%`;
             this.elements.currentTime.textContent = DOMUtils.formatTime(current);
         }
+        this.mediaSession.setPosition(current, duration, this.audioElement.playbackRate);
+        
+        this.prepareTransition();
     }
 
     handleAudioPlay() {
+        if (this.isLiveInput() || this.isReplay()) return;
+        
         this.isPlaying = true;
+        this.mediaSession.setPlaying(true);
         this.startVisualizers();
     }
 
     handleAudioPause() {
+        // Pausing the file player to switch to live input or a replay must not stop the visuals
+        if (this.isLiveInput() || this.isReplay()) return;
+        
         this.isPlaying = false;
-        this.pauseVisualizers();
+        this.mediaSession.setPlaying(false);
+        this.idleVisualizers();
     }
 
     handleAudioEnded() {
+        // Queue tracks continue with the next one without leaving the visualizer
+        if (!this.isReplay() && this.currentTrack && this.currentTrack.queueId !== undefined) {
+            const next = this.playlist.next({ auto: true });
+            if (next && next.id === this.currentTrack.queueId) {
+                this.audioElement.currentTime = 0;
+                this.playAudio();
+                return;
+            }
+            if (next) {
+                this.playQueueItem(next);
+                return;
+            }
+        }
+        
         this.isPlaying = false;
         this.elements.playIcon.textContent = '▶';
-        this.pauseVisualizers();
+        this.idleVisualizers();
+    }
+
+    // A live input that stays silent is usually the wrong device or a muted source
+    handleSilence() {
+        if (this.isLiveInput() && !this.isGenerator() && this.isPlaying) {
+            DOMUtils.showToast('No signal on the live input', 'info', 3000);
+        }
     }
 
     handleAudioError(event) {
         console.error('Audio error:', event);
-        DOMUtils.showToast('Audio playback error occurred', 'error');
+        const error = event.target.error;
+        
+        // The file's type looked playable but the element could not read it: try the decoder
+        const unreadable = error && (error.code === MediaError.MEDIA_ERR_DECODE ||
+            error.code === MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED);
+        if (unreadable && this.canUseDecoder()) {
+            this.retryWithDecoder(this.isPlaying);
+            return;
+        }
+        
+        DOMUtils.showToast(this.describeAudioError(error), 'error');
         this.isPlaying = false;
         this.pauseVisualizers();
     }
 
+    describeAudioError(error) {
+        const track = this.currentTrack;
+        if (track && track.file) {
+            const item = this.playlist.getItem(track.queueId);
+            return describeUnplayable(track.file.name, item ? item.format : null);
+        }
+        
+        switch (error && error.code) {
+            case MediaError.MEDIA_ERR_NETWORK:
+                return 'Playback stopped: the stream could not be downloaded';
+            case MediaError.MEDIA_ERR_SRC_NOT_SUPPORTED:
+                return 'Playback failed: the stream is in a format this browser cannot play';
+            case MediaError.MEDIA_ERR_DECODE:
+                return 'Playback stopped: the stream contains data that could not be decoded';
+            default:
+                return 'Audio playback error occurred';
+        }
+    }
+
+    // Whether the current file can still be retried with decodeAudioData (once per track)
+    canUseDecoder() {
+        const track = this.currentTrack;
+        return !!(track && track.file && !this.usingBufferPlayer &&
+            !(this.decoderRetry && this.decoderRetry.track === track) && this.playlist.getItem(track.queueId));
+    }
+
+    async retryWithDecoder(autoplay) {
+        const track = this.currentTrack;
+        const retry = { track, autoplay };
+        this.decoderRetry = retry;
+        
+        DOMUtils.showToast(`The player could not read "${track.file.name}", decoding it instead`, 'info', 3000);
+        this.playlist.update(track.queueId, { decode: true });
+        await this.playQueueItem(this.playlist.getItem(track.queueId), { autoplay: false });
+        
+        if (retry.autoplay && this.usingBufferPlayer && this.currentTrack.queueId === track.queueId) {
+            await this.playAudio();
+        }
+    }
+
     toggleVisualizerMode() {
         this.is3DMode = !this.is3DMode;
         
@@ -408,6 +1480,8 @@ class MusicVizApp {
         // Restart visualizers if playing
         if (this.isPlaying) {
             this.startVisualizers();
+        } else {
+            this.idleVisualizers();
         }
     }
 
@@ -480,6 +1554,26 @@ class MusicVizApp {
                 event.preventDefault();
                 this.toggleMute();
                 break;
+            case 'KeyL':
+                event.preventDefault();
+                this.toggleLoudnessMeter();
+                break;
+            case 'KeyG':
+                event.preventDefault();
+                this.toggleGainNormalization();
+                break;
+            case 'KeyR':
+                event.preventDefault();
+                this.toggleRecording();
+                break;
+            case 'KeyN':
+                event.preventDefault();
+                this.playNext();
+                break;
+            case 'KeyP':
+                event.preventDefault();
+                this.playPrevious();
+                break;
             case 'ArrowLeft':
                 event.preventDefault();
                 this.seekAudio(-5);
@@ -491,20 +1585,37 @@ class MusicVizApp {
         }
     }
 
+    toggleLoudnessMeter() {
+        const visible = this.loudnessOverlay.toggle();
+        this.elements.meterToggle.classList.toggle('active', visible);
+    }
+
+    toggleGainNormalization() {
+        const enabled = !this.audioAnalyzer.normalizeGain;
+        this.audioAnalyzer.setGainNormalization({ enabled });
+        DOMUtils.showToast(`Auto gain ${enabled ? 'on' : 'off'}`, 'info', 1500);
+    }
+
     toggleMute() {
         if (this.audioElement.volume > 0) {
-            this.audioElement.volume = 0;
+            this.setOutputVolume(0);
             this.elements.volumeSlider.value = 0;
         } else {
-            this.audioElement.volume = 0.8;
+            this.setOutputVolume(0.8);
             this.elements.volumeSlider.value = 0.8;
         }
     }
 
     seekAudio(seconds) {
+        if (this.isReplay()) {
+            this.replayAnalyzer.seek(this.replayAnalyzer.position + seconds * 1000);
+            return;
+        }
+        
         if (!this.audioElement.duration) return;
         
         const newTime = this.audioElement.currentTime + seconds;
+        this.cancelTransition();
         this.audioElement.currentTime = Math.max(0, Math.min(newTime, this.audioElement.duration));
     }
 
@@ -518,15 +1629,26 @@ class MusicVizApp {
 
     // Cleanup on page unload
     dispose() {
+        this.recorder.stop();
+        this.cancelTransition();
+        this.stopReplay();
+        this.signalGenerator.stop();
         this.audioAnalyzer.dispose();
         this.visualizer2D.dispose();
         this.visualizer3D.dispose();
+        this.loudnessOverlay.dispose();
+        this.playlistPanel.dispose();
+        this.fileDrop.dispose();
+        this.mediaSession.dispose();
+        this.bufferPlayer.dispose();
+        this.libraryPanel.dispose();
+        this.library.close();
         this.streamingServices.cleanup();
         this.aiIntegration.clearCache();
         
         // Revoke object URLs to prevent memory leaks
-        if (this.currentTrack && this.currentTrack.url.startsWith('blob:')) {
-            URL.revokeObjectURL(this.currentTrack.url);
+        if (this.currentTrack && this.currentTrack.url && this.currentTrack.url.startsWith('blob:')) {
+            this.revokeFileUrls(this.currentTrack.url, this.currentTrack);
         }
     }
 }
@@ -535,14 +1657,16 @@ class MusicVizApp {
 document.addEventListener('DOMContentLoaded', () => {
     const app = new MusicVizApp();
     
-    // Auto-enter visualizer when audio starts playing
-    app.audioElement.addEventListener('play', () => {
-        setTimeout(() => {
-            if (!app.elements.visualizerContainer.classList.contains('hidden')) {
-                return; // Already in visualizer
-            }
-            app.enterVisualizer();
-        }, 1000); // Small delay to ensure audio is stable
+    // Auto-enter visualizer when audio starts playing (on either deck or decoded)
+    [...app.deckMixer.elements, app.bufferPlayer].forEach(element => {
+        element.addEventListener('play', () => {
+            setTimeout(() => {
+                if (!app.elements.visualizerContainer.classList.contains('hidden')) {
+                    return; // Already in visualizer
+                }
+                app.enterVisualizer();
+            }, 1000); // Small delay to ensure audio is stable
+        });
     });
     
     // Cleanup on page unload
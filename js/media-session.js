@@ -0,0 +1,80 @@
+import { EventEmitter } from './event-emitter.js';
+
+const SEEK_OFFSET = 10; // Seconds for seek backward / forward when the OS does not say
+
+// OS media controls through the Media Session API: media keys, headset buttons and the lock
+// screen show the track and control the app even when the browser window is not focused.
+// Without the API every method does nothing.
+// Events: 'play', 'pause', 'stop', 'next', 'previous', 'seek' (seconds), 'seekby' (seconds, signed)
+export class MediaSessionControls extends EventEmitter {
+    constructor() {
+        super();
+        
+        this.session = typeof navigator !== 'undefined' && 'mediaSession' in navigator ? navigator.mediaSession : null;
+        this.handlers = {
+            play: () => this.emit('play'),
+            pause: () => this.emit('pause'),
+            stop: () => this.emit('stop'),
+            nexttrack: () => this.emit('next'),
+            previoustrack: () => this.emit('previous'),
+            seekbackward: details => this.emit('seekby', -(details.seekOffset || SEEK_OFFSET)),
+            seekforward: details => this.emit('seekby', details.seekOffset || SEEK_OFFSET),
+            seekto: details => this.emit('seek', details.seekTime)
+        };
+        this.setActionHandlers(this.handlers);
+    }
+
+    // Browsers throw for actions they do not know; those are left out
+    setActionHandlers(handlers) {
+        if (!this.session) return;
+        
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                this.session.setActionHandler(action, handler);
+            } catch (error) {
+                console.warn(`Media session action "${action}" is not supported`);
+            }
+        });
+    }
+
+    // metadata: { title, artist, album, albumArtUrl } as shown in the track info
+    setMetadata(metadata) {
+        if (!this.session || typeof MediaMetadata === 'undefined') return;
+        
+        this.session.metadata = new MediaMetadata({
+            title: metadata.title || 'Unknown Title',
+            artist: metadata.artist || 'Unknown Artist',
+            album: metadata.album || '',
+            artwork: metadata.albumArtUrl ? [{ src: metadata.albumArtUrl }] : []
+        });
+    }
+
+    setPlaying(playing) {
+        if (!this.session) return;
+        this.session.playbackState = playing ? 'playing' : 'paused';
+    }
+
+    // Streams without a known length clear the position, so no seek bar is shown for them
+    setPosition(position, duration, playbackRate = 1) {
+        if (!this.session || !this.session.setPositionState) return;
+        
+        try {
+            if (Number.isFinite(duration) && duration > 0 && Number.isFinite(position) && playbackRate > 0) {
+                this.session.setPositionState({ duration, position: Math.min(position, duration), playbackRate });
+            } else {
+                this.session.setPositionState();
+            }
+        } catch (error) {
+            console.warn('Could not update the media session position:', error);
+        }
+    }
+
+    dispose() {
+        if (this.session) {
+            this.setActionHandlers(Object.fromEntries(Object.keys(this.handlers).map(action => [action, null])));
+            this.session.metadata = null;
+            this.session.playbackState = 'none';
+        }
+        this.removeAllListeners();
+    }
+}
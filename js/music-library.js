@@ -0,0 +1,220 @@
+import { EventEmitter } from './event-emitter.js';
+
+const DB_NAME = 'musicviz-library';
+const DB_VERSION = 1;
+const STORE = 'tracks';
+
+const SEARCH_FIELDS = ['title', 'artist', 'album', 'genre'];
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Same file imported twice (by picker, drop or upload) maps to one record
+export function getFileFingerprint(file) {
+    return `${file.name}:${file.size}:${file.lastModified}`;
+}
+
+// Tracks whose title, artist, album or genre contain every word of the query
+export function filterTracks(tracks, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return tracks;
+
+    return tracks.filter(track => {
+        const text = SEARCH_FIELDS.map(field => track[field] || '').join(' ').toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+}
+
+// Sorts a copy; text compares naturally ("Track 2" before "Track 10"), missing values go last
+export function sortTracks(tracks, field, descending = false) {
+    const direction = descending ? -1 : 1;
+
+    return [...tracks].sort((a, b) => {
+        const valueA = a[field];
+        const valueB = b[field];
+        if (valueA === undefined || valueA === null) return valueB === undefined || valueB === null ? 0 : 1;
+        if (valueB === undefined || valueB === null) return -1;
+        if (typeof valueA === 'string') {
+            return direction * valueA.localeCompare(valueB, undefined, { numeric: true, sensitivity: 'base' });
+        }
+        return direction * (valueA - valueB);
+    });
+}
+
+// Tracks kept across sessions in IndexedDB: the file itself, or a file system handle where the
+// browser has them, with its tags, the cached mood analysis and play statistics.
+// Record: { id, fingerprint, name, size, file | handle, title, artist, album, genre, year, bpm, lyrics,
+//           cover, mood, playCount, lastPlayed, addedAt }
+// Events: 'change' after every write
+export class MusicLibrary extends EventEmitter {
+    constructor() {
+        super();
+        
+        this.db = null;
+        this.opening = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (!MusicLibrary.isSupported()) {
+                    throw new Error('IndexedDB is not available');
+                }
+                
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('fingerprint', 'fingerprint', { unique: true });
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Another tab opening a newer version waits until this connection is closed
+                    db.onversionchange = () => {
+                        db.close();
+                        if (this.db === db) {
+                            this.db = null;
+                            this.opening = null;
+                        }
+                    };
+                    this.db = db;
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => {
+                    console.warn('Library upgrade is waiting for another tab to close the library');
+                };
+            });
+            
+            // A failed open is tried again on the next call
+            this.opening.catch(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    }
+
+    // Runs fn(store) in a transaction; resolves with fn's result once the transaction commits
+    async transaction(mode, fn) {
+        const db = await this.open();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            let result;
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Library transaction aborted'));
+            
+            Promise.resolve(fn(transaction.objectStore(STORE))).then(value => {
+                result = value;
+            }, error => {
+                transaction.abort();
+                reject(error);
+            });
+        });
+    }
+
+    getAll() {
+        return this.transaction('readonly', store => promisifyRequest(store.getAll()));
+    }
+
+    get(id) {
+        return this.transaction('readonly', store => promisifyRequest(store.get(id)));
+    }
+
+    // Adds a file (or a file system handle and the file read from it) with its tags.
+    // A file that is already in the library keeps its record, statistics included.
+    async add(file, metadata = {}, handle = null) {
+        const fingerprint = getFileFingerprint(file);
+        
+        const record = await this.transaction('readwrite', async store => {
+            const existing = await promisifyRequest(store.index('fingerprint').get(fingerprint));
+            if (existing) {
+                // A handle found later is still preferred over the stored copy
+                if (handle && !existing.handle) {
+                    Object.assign(existing, { handle, file: null });
+                    await promisifyRequest(store.put(existing));
+                }
+                return existing;
+            }
+            
+            const track = {
+                fingerprint,
+                name: file.name,
+                size: file.size,
+                file: handle ? null : file,
+                handle,
+                ...metadata,
+                mood: null,
+                playCount: 0,
+                lastPlayed: null,
+                addedAt: Date.now()
+            };
+            track.id = await promisifyRequest(store.add(track));
+            return track;
+        });
+        
+        this.emit('change', this);
+        return record;
+    }
+
+    // Merges changes into a record; returns the updated record, or null when it is gone
+    async update(id, changes) {
+        const record = await this.transaction('readwrite', async store => {
+            const existing = await promisifyRequest(store.get(id));
+            if (!existing) return null;
+            
+            Object.assign(existing, changes, { id });
+            await promisifyRequest(store.put(existing));
+            return existing;
+        });
+        
+        if (record) {
+            this.emit('change', this);
+        }
+        return record;
+    }
+
+    async recordPlay(id) {
+        const record = await this.get(id);
+        if (!record) return null;
+        return this.update(id, { playCount: (record.playCount || 0) + 1, lastPlayed: Date.now() });
+    }
+
+    async remove(id) {
+        await this.transaction('readwrite', store => promisifyRequest(store.delete(id)));
+        this.emit('change', this);
+    }
+
+    // The playable file of a record. Handles need read permission again in a new session,
+    // which the browser only grants during a user gesture (e.g. the click on "play").
+    async getFile(record) {
+        if (record.file) return record.file;
+        if (!record.handle) {
+            throw new Error(`"${record.title || record.name}" has no stored file`);
+        }
+        
+        const options = { mode: 'read' };
+        if (await record.handle.queryPermission(options) !== 'granted' &&
+            await record.handle.requestPermission(options) !== 'granted') {
+            throw new Error(`Permission to read "${record.name}" was denied`);
+        }
+        return record.handle.getFile();
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+            this.opening = null;
+        }
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,68 @@
+import { MathUtils } from './utils.js';
+
+// Spectral-flux onset detection restricted to one frequency range
+export class OnsetDetector {
+    constructor({ minHz, maxHz, sensitivity = 1.5, minInterval = 100 }) {
+        this.minHz = minHz;
+        this.maxHz = maxHz;
+        this.sensitivity = sensitivity; // Standard deviations above the mean flux
+        this.minInterval = minInterval; // ms
+        
+        this.fluxHistory = [];
+        this.maxHistorySize = 43; // ~1 second at 43 FPS
+        this.peakFlux = 0;
+        this.peakDecay = 0.995;
+        this.previousFlux = 0;
+        this.lastOnsetTime = 0;
+    }
+
+    process(frequencyData, previousData, binHz, time) {
+        const startBin = Math.max(0, Math.floor(this.minHz / binHz));
+        const endBin = Math.min(frequencyData.length, Math.ceil(this.maxHz / binHz));
+        if (endBin <= startBin) return { detected: false, strength: 0 };
+        
+        // Positive spectral change within the band
+        let flux = 0;
+        for (let i = startBin; i < endBin; i++) {
+            const diff = frequencyData[i] - previousData[i];
+            if (diff > 0) flux += diff;
+        }
+        flux /= (endBin - startBin) * 255;
+        
+        // Adaptive threshold from recent flux
+        const mean = this.fluxHistory.length
+            ? this.fluxHistory.reduce((sum, value) => sum + value, 0) / this.fluxHistory.length
+            : flux;
+        const variance = this.fluxHistory.length
+            ? this.fluxHistory.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / this.fluxHistory.length
+            : 0;
+        const threshold = mean + this.sensitivity * Math.sqrt(variance);
+        
+        this.fluxHistory.push(flux);
+        if (this.fluxHistory.length > this.maxHistorySize) {
+            this.fluxHistory.shift();
+        }
+        
+        this.peakFlux = Math.max(flux, this.peakFlux * this.peakDecay);
+        
+        // Only fire on the rising edge so a sustained change counts once
+        const rising = flux > this.previousFlux;
+        this.previousFlux = flux;
+        
+        const detected = rising && flux > threshold && flux > 0.01 &&
+                         time - this.lastOnsetTime > this.minInterval;
+        
+        if (!detected) return { detected: false, strength: 0 };
+        
+        this.lastOnsetTime = time;
+        const strength = this.peakFlux > 0 ? MathUtils.clamp(flux / this.peakFlux, 0, 1) : 0;
+        return { detected: true, strength };
+    }
+
+    reset() {
+        this.fluxHistory = [];
+        this.peakFlux = 0;
+        this.previousFlux = 0;
+        this.lastOnsetTime = 0;
+    }
+}
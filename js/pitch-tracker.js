@@ -0,0 +1,178 @@
+import { MathUtils } from './utils.js';
+import { PITCH_CLASSES } from './key-detector.js';
+
+// Monophonic fundamental-frequency tracking with the YIN algorithm
+export class PitchTracker {
+    constructor({ minHz = 80, maxHz = 1200, threshold = 0.15, highpassHz = 100 } = {}) {
+        this.minHz = minHz;
+        this.maxHz = maxHz; // Range of typical vocals and lead lines
+        this.threshold = threshold; // Absolute threshold on the YIN difference function
+        this.highpassHz = highpassHz; // Attenuates bass so it does not capture the estimate
+        this.minClarity = 0.6; // Below this the frame is treated as unpitched
+        
+        this.decimation = 1;
+        this.filtered = null;
+        this.difference = null;
+        this.pitch = this.createEmptyPitch();
+    }
+
+    createEmptyPitch() {
+        return {
+            frequency: 0, // Hz, 0 when no clear pitch
+            midi: null,
+            note: null, // e.g. 'A4'
+            cents: 0, // Offset from the nearest equal-tempered note
+            clarity: 0 // 0-1, how periodic the frame is
+        };
+    }
+
+    // samples: Float32Array time-domain data in the -1..1 range
+    process(samples, sampleRate) {
+        const signal = this.prepare(samples, sampleRate);
+        const rate = sampleRate / this.decimation;
+        
+        const windowSize = Math.floor(signal.length / 2);
+        const minLag = Math.max(2, Math.floor(rate / this.maxHz));
+        const maxLag = Math.min(windowSize - 1, Math.ceil(rate / this.minHz));
+        if (maxLag <= minLag) return this.createEmptyPitch();
+        
+        const difference = this.cumulativeDifference(signal, windowSize, maxLag);
+        
+        // First dip below the threshold, followed down to its local minimum
+        let lag = -1;
+        for (let tau = minLag; tau <= maxLag; tau++) {
+            if (difference[tau] < this.threshold) {
+                while (tau + 1 <= maxLag && difference[tau + 1] < difference[tau]) {
+                    tau++;
+                }
+                lag = tau;
+                break;
+            }
+        }
+        
+        // No dip below the threshold: fall back to the global minimum, which usually means noise
+        if (lag === -1) {
+            lag = minLag;
+            for (let tau = minLag + 1; tau <= maxLag; tau++) {
+                if (difference[tau] < difference[lag]) lag = tau;
+            }
+        }
+        
+        const clarity = MathUtils.clamp(1 - difference[lag], 0, 1);
+        if (clarity < this.minClarity) {
+            this.pitch = { ...this.createEmptyPitch(), clarity };
+            return this.pitch;
+        }
+        
+        const frequency = rate / this.interpolateLag(difference, lag, minLag, maxLag);
+        this.pitch = this.describe(frequency, clarity);
+        return this.pitch;
+    }
+
+    // High-pass the frame, then halve the rate at 32 kHz and above (YIN cost grows with window x lag)
+    prepare(samples, sampleRate) {
+        this.decimation = sampleRate >= 32000 ? 2 : 1;
+        const length = Math.floor(samples.length / this.decimation);
+        if (!this.filtered || this.filtered.length !== length) {
+            this.filtered = new Float32Array(length);
+        }
+        
+        // Two cascaded biquads give a 24 dB/octave slope below highpassHz
+        const coefficients = this.getHighpassCoefficients(sampleRate);
+        const stages = [{ x1: 0, x2: 0, y1: 0, y2: 0 }, { x1: 0, x2: 0, y1: 0, y2: 0 }];
+        let pending = 0;
+        
+        for (let i = 0; i < samples.length; i++) {
+            let value = samples[i];
+            stages.forEach(stage => {
+                value = this.applyBiquad(coefficients, stage, value);
+            });
+            
+            // Averaging pairs doubles as the anti-alias filter for the decimation
+            pending += value;
+            if ((i + 1) % this.decimation === 0) {
+                const index = (i + 1) / this.decimation - 1;
+                if (index < length) this.filtered[index] = pending / this.decimation;
+                pending = 0;
+            }
+        }
+        
+        return this.filtered;
+    }
+
+    // RBJ cookbook high-pass, Q = 1/sqrt(2)
+    getHighpassCoefficients(sampleRate) {
+        const omega = (2 * Math.PI * this.highpassHz) / sampleRate;
+        const alpha = Math.sin(omega) / (2 * Math.SQRT1_2);
+        const cos = Math.cos(omega);
+        const a0 = 1 + alpha;
+        const b0 = (1 + cos) / 2 / a0;
+        const b1 = -(1 + cos) / a0;
+        const b2 = b0;
+        const a1 = (-2 * cos) / a0;
+        const a2 = (1 - alpha) / a0;
+        
+        return { b0, b1, b2, a1, a2 };
+    }
+
+    applyBiquad({ b0, b1, b2, a1, a2 }, stage, x) {
+        const y = b0 * x + b1 * stage.x1 + b2 * stage.x2 - a1 * stage.y1 - a2 * stage.y2;
+        stage.x2 = stage.x1;
+        stage.x1 = x;
+        stage.y2 = stage.y1;
+        stage.y1 = y;
+        return y;
+    }
+
+    // YIN steps 2 and 3: squared difference, normalised by its cumulative mean
+    cumulativeDifference(signal, windowSize, maxLag) {
+        if (!this.difference || this.difference.length !== maxLag + 1) {
+            this.difference = new Float32Array(maxLag + 1);
+        }
+        
+        const difference = this.difference;
+        difference[0] = 1;
+        let runningSum = 0;
+        
+        for (let tau = 1; tau <= maxLag; tau++) {
+            let sum = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = signal[i] - signal[i + tau];
+                sum += delta * delta;
+            }
+            
+            runningSum += sum;
+            difference[tau] = runningSum > 0 ? (sum * tau) / runningSum : 1;
+        }
+        
+        return difference;
+    }
+
+    // Parabolic interpolation for sub-sample lag precision
+    interpolateLag(difference, lag, minLag, maxLag) {
+        if (lag <= minLag || lag >= maxLag) return lag;
+        
+        const a = difference[lag - 1];
+        const b = difference[lag];
+        const c = difference[lag + 1];
+        const denominator = a - 2 * b + c;
+        return denominator !== 0 ? lag + MathUtils.clamp(0.5 * (a - c) / denominator, -0.5, 0.5) : lag;
+    }
+
+    describe(frequency, clarity) {
+        const exactMidi = 69 + 12 * Math.log2(frequency / 440);
+        const midi = Math.round(exactMidi);
+        
+        return {
+            frequency,
+            midi,
+            note: `${PITCH_CLASSES[((midi % 12) + 12) % 12]}${Math.floor(midi / 12) - 1}`,
+            cents: Math.round((exactMidi - midi) * 100),
+            clarity
+        };
+    }
+
+    reset() {
+        this.pitch = this.createEmptyPitch();
+    }
+}
@@ -0,0 +1,165 @@
+import { EventEmitter } from './event-emitter.js';
+
+const REPEAT_ICONS = { off: '🔁', all: '🔁', one: '🔂' };
+
+// Queue panel on the start screen. Reordering, removing, shuffle and repeat edit the playlist
+// directly; playback is left to the app through 'play' (item), 'next' and 'previous' events.
+export class PlaylistPanel extends EventEmitter {
+    constructor(element, playlist) {
+        super();
+        
+        this.element = element;
+        this.playlist = playlist;
+        this.list = element.querySelector('[data-list]');
+        this.count = element.querySelector('[data-count]');
+        this.draggedId = null;
+        
+        this.buttons = {};
+        element.querySelectorAll('.queue-actions [data-action]').forEach(button => {
+            this.buttons[button.dataset.action] = button;
+        });
+        
+        element.addEventListener('click', this.handleClick.bind(this));
+        this.list.addEventListener('dragstart', this.handleDragStart.bind(this));
+        this.list.addEventListener('dragover', this.handleDragOver.bind(this));
+        this.list.addEventListener('drop', this.handleDrop.bind(this));
+        this.list.addEventListener('dragend', this.handleDragEnd.bind(this));
+        
+        this.removePlaylistListener = playlist.on('change', this.render.bind(this));
+        this.render();
+    }
+
+    handleClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+        
+        const row = button.closest('[data-id]');
+        const id = row ? Number(row.dataset.id) : null;
+        const playlist = this.playlist;
+        
+        switch (button.dataset.action) {
+            case 'play':
+                this.emit('play', playlist.getItem(id));
+                break;
+            case 'up':
+                playlist.move(id, playlist.indexOf(id) - 1);
+                break;
+            case 'down':
+                playlist.move(id, playlist.indexOf(id) + 1);
+                break;
+            case 'remove':
+                playlist.remove(id);
+                break;
+            case 'previous':
+            case 'next':
+                this.emit(button.dataset.action);
+                break;
+            case 'shuffle':
+                playlist.setShuffle(!playlist.shuffle);
+                break;
+            case 'repeat':
+                playlist.cycleRepeat();
+                break;
+            case 'clear':
+                playlist.clear();
+                break;
+        }
+    }
+
+    handleDragStart(event) {
+        const row = event.target.closest('[data-id]');
+        if (!row) return;
+        
+        this.draggedId = Number(row.dataset.id);
+        row.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', row.dataset.id);
+    }
+
+    handleDragOver(event) {
+        if (this.draggedId === null) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+    }
+
+    // Dropping on a row puts the dragged item in that row's place
+    handleDrop(event) {
+        if (this.draggedId === null) return;
+        event.preventDefault();
+        
+        const row = event.target.closest('[data-id]');
+        const target = row ? this.playlist.indexOf(Number(row.dataset.id)) : this.playlist.length - 1;
+        this.playlist.move(this.draggedId, target);
+    }
+
+    handleDragEnd() {
+        this.draggedId = null;
+        this.list.querySelectorAll('.dragging').forEach(row => row.classList.remove('dragging'));
+    }
+
+    render() {
+        const { items, currentId, shuffle, repeat } = this.playlist;
+        
+        this.element.classList.toggle('hidden', items.length === 0);
+        if (this.count) {
+            this.count.textContent = items.length;
+        }
+        
+        if (this.buttons.shuffle) {
+            this.buttons.shuffle.classList.toggle('active', shuffle);
+            this.buttons.shuffle.title = `Shuffle: ${shuffle ? 'on' : 'off'}`;
+        }
+        if (this.buttons.repeat) {
+            this.buttons.repeat.classList.toggle('active', repeat !== 'off');
+            this.buttons.repeat.textContent = REPEAT_ICONS[repeat];
+            this.buttons.repeat.title = `Repeat: ${repeat}`;
+        }
+        
+        this.list.replaceChildren(...items.map((item, index) => this.createRow(item, index, item.id === currentId)));
+    }
+
+    createRow(item, index, isCurrent) {
+        const row = document.createElement('li');
+        row.className = `queue-item${isCurrent ? ' current' : ''}`;
+        row.dataset.id = item.id;
+        row.draggable = true;
+        
+        const play = document.createElement('button');
+        play.className = 'queue-track';
+        play.dataset.action = 'play';
+        play.title = 'Play now';
+        
+        const title = document.createElement('span');
+        title.className = 'queue-title';
+        title.textContent = item.title || 'Unknown Title';
+        const artist = document.createElement('span');
+        artist.className = 'queue-artist';
+        artist.textContent = item.artist || 'Unknown Artist';
+        play.append(title, artist);
+        
+        const controls = document.createElement('span');
+        controls.className = 'queue-item-actions';
+        controls.append(
+            this.createButton('up', '▲', 'Move up', index === 0),
+            this.createButton('down', '▼', 'Move down', index === this.playlist.length - 1),
+            this.createButton('remove', '✕', 'Remove')
+        );
+        
+        row.append(play, controls);
+        return row;
+    }
+
+    createButton(action, label, title, disabled = false) {
+        const button = document.createElement('button');
+        button.dataset.action = action;
+        button.textContent = label;
+        button.title = title;
+        button.disabled = disabled;
+        return button;
+    }
+
+    dispose() {
+        this.removePlaylistListener();
+        this.removeAllListeners();
+    }
+}
@@ -0,0 +1,234 @@
+import { EventEmitter } from './event-emitter.js';
+
+export const REPEAT_MODES = ['off', 'all', 'one'];
+
+let nextItemId = 1;
+
+// Play queue: ordered items, the current position, shuffle and repeat.
+// Items are plain objects ({ file } or { url }, plus title / artist metadata); each gets an id.
+// Events: 'change' (playlist) after every mutation
+export class Playlist extends EventEmitter {
+    constructor() {
+        super();
+        
+        this.items = [];
+        this.currentId = null;
+        this.pendingIndex = 0; // Play position to continue from after the current item is removed
+        this.shuffle = false;
+        this.shuffleOrder = []; // Item ids in shuffled play order
+        this.upcomingOrder = null; // Shuffle order for the next pass, fixed once peeked at
+        this.repeat = 'off';
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    get current() {
+        return this.getItem(this.currentId);
+    }
+
+    getItem(id) {
+        return this.items.find(item => item.id === id) || null;
+    }
+
+    indexOf(id) {
+        return this.items.findIndex(item => item.id === id);
+    }
+
+    // Returns the added items with their ids
+    add(entries) {
+        const added = entries.map(entry => ({ ...entry, id: nextItemId++ }));
+        this.items.push(...added);
+        this.upcomingOrder = null;
+        
+        // New items are shuffled into the part of the order that has not played yet
+        if (this.shuffle) {
+            const start = this.getOrderPosition() + 1;
+            added.forEach(item => {
+                const position = start + Math.floor(Math.random() * (this.shuffleOrder.length - start + 1));
+                this.shuffleOrder.splice(position, 0, item.id);
+            });
+        }
+        
+        this.emit('change', this);
+        return added;
+    }
+
+    remove(id) {
+        const index = this.indexOf(id);
+        if (index === -1) return;
+        
+        if (id === this.currentId) {
+            this.pendingIndex = this.getOrderPosition();
+            this.currentId = null;
+        }
+        this.items.splice(index, 1);
+        this.shuffleOrder = this.shuffleOrder.filter(itemId => itemId !== id);
+        this.upcomingOrder = null;
+        this.emit('change', this);
+    }
+
+    // Merge changes into an item, e.g. the title once a stream URL is resolved
+    update(id, changes) {
+        const item = this.getItem(id);
+        if (!item) return;
+        
+        Object.assign(item, changes);
+        this.emit('change', this);
+    }
+
+    move(id, toIndex) {
+        const index = this.indexOf(id);
+        if (index === -1) return;
+        
+        const target = Math.max(0, Math.min(toIndex, this.items.length - 1));
+        if (target === index) return;
+        
+        const [item] = this.items.splice(index, 1);
+        this.items.splice(target, 0, item);
+        this.emit('change', this);
+    }
+
+    clear() {
+        this.items = [];
+        this.shuffleOrder = [];
+        this.upcomingOrder = null;
+        this.currentId = null;
+        this.pendingIndex = 0;
+        this.emit('change', this);
+    }
+
+    // A track picked by hand. In a shuffled queue it moves up to the current position, so the
+    // tracks still shuffled ahead of it play after it rather than being skipped.
+    select(id) {
+        const item = this.getItem(id);
+        if (!item) return null;
+        
+        if (this.shuffle && id !== this.currentId) {
+            const index = this.shuffleOrder.indexOf(id);
+            const position = this.getOrderPosition();
+            const order = this.shuffleOrder.filter(itemId => itemId !== id);
+            order.splice(index !== -1 && index < position ? position : position + 1, 0, id);
+            this.shuffleOrder = order;
+            this.upcomingOrder = null;
+        }
+        return this.moveTo(id);
+    }
+
+    // Makes an item current without touching the play order (next / previous)
+    moveTo(id) {
+        const item = this.getItem(id);
+        if (!item) return null;
+        
+        this.currentId = id;
+        this.emit('change', this);
+        return item;
+    }
+
+    // Item ids in the order they will play
+    getPlayOrder() {
+        return this.shuffle ? this.shuffleOrder : this.items.map(item => item.id);
+    }
+
+    getOrderPosition() {
+        if (this.currentId === null) return this.pendingIndex - 1;
+        return this.getPlayOrder().indexOf(this.currentId);
+    }
+
+    // auto: the current track ended on its own, so 'repeat one' plays it again.
+    // Returns the item to play, or null at the end of the queue.
+    next({ auto = false } = {}) {
+        const target = this.getNextTarget(auto);
+        if (!target) return null;
+        
+        if (target.order) {
+            this.shuffleOrder = target.order;
+        }
+        this.upcomingOrder = null;
+        return this.moveTo(target.id);
+    }
+
+    // The item next() would return, without moving there (e.g. to preload it)
+    peekNext({ auto = false } = {}) {
+        const target = this.getNextTarget(auto);
+        return target ? this.getItem(target.id) : null;
+    }
+
+    // { id } of the next item, plus the new shuffle order when a shuffled queue starts over
+    getNextTarget(auto) {
+        if (this.items.length === 0) return null;
+        if (auto && this.repeat === 'one' && this.current) return { id: this.currentId };
+        
+        const position = this.getOrderPosition() + 1;
+        if (position < this.items.length) return { id: this.getPlayOrder()[position] };
+        if (this.repeat === 'off') return null;
+        if (!this.shuffle) return { id: this.items[0].id };
+        
+        // Every pass through a shuffled queue gets a fresh order, not starting with the track just heard
+        if (!this.upcomingOrder) {
+            this.upcomingOrder = this.createShuffleOrder(null);
+            if (this.upcomingOrder.length > 1 && this.upcomingOrder[0] === this.currentId) {
+                this.upcomingOrder.push(this.upcomingOrder.shift());
+            }
+        }
+        return { id: this.upcomingOrder[0], order: this.upcomingOrder };
+    }
+
+    previous() {
+        if (this.items.length === 0) return null;
+        
+        // After the current item was removed, the one before it is at the pending position - 1
+        let position = this.currentId === null ? this.pendingIndex - 1 : this.getOrderPosition() - 1;
+        if (position < 0) {
+            if (this.repeat === 'off') return null;
+            position = this.items.length - 1;
+        }
+        
+        return this.moveTo(this.getPlayOrder()[position]);
+    }
+
+    setShuffle(enabled) {
+        this.shuffle = enabled;
+        this.upcomingOrder = null;
+        
+        // The current item stays first so the rest of the queue plays in a new order
+        if (enabled) {
+            this.shuffleOrder = this.createShuffleOrder(this.currentId);
+        }
+        if (this.currentId === null) {
+            this.pendingIndex = 0;
+        }
+        this.emit('change', this);
+    }
+
+    setRepeat(mode) {
+        if (!REPEAT_MODES.includes(mode)) {
+            throw new Error(`Unknown repeat mode "${mode}"`);
+        }
+        this.repeat = mode;
+        this.emit('change', this);
+    }
+
+    // off -> all -> one -> off
+    cycleRepeat() {
+        const index = REPEAT_MODES.indexOf(this.repeat);
+        this.setRepeat(REPEAT_MODES[(index + 1) % REPEAT_MODES.length]);
+        return this.repeat;
+    }
+
+    createShuffleOrder(firstId) {
+        const ids = this.items.map(item => item.id).filter(id => id !== firstId);
+        
+        // Fisher-Yates
+        for (let i = ids.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [ids[i], ids[j]] = [ids[j], ids[i]];
+        }
+        
+        if (firstId !== null && this.getItem(firstId)) {
+            ids.unshift(firstId);
+        }
+        return ids;
+    }
+}
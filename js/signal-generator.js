@@ -0,0 +1,296 @@
+import { MathUtils } from './utils.js';
+
+const DEFAULT_LEVEL = -12; // dBFS peak, also what an empty or invalid level falls back to
+
+// Test signals for calibrating the analysis without hunting for the right song
+export const SIGNAL_TYPES = {
+    sine: 'Sine',
+    sweep: 'Sweep',
+    pink: 'Pink noise',
+    white: 'White noise',
+    click: 'Click track',
+    chord: 'Chord'
+};
+
+// Semitones above the root
+export const CHORDS = {
+    major: [0, 4, 7],
+    minor: [0, 3, 7],
+    dominant7: [0, 4, 7, 10],
+    major7: [0, 4, 7, 11],
+    minor7: [0, 3, 7, 10],
+    sus4: [0, 5, 7]
+};
+
+const NOISE_DURATION = 5; // Seconds of noise, looped
+
+// Logarithmic sine sweep, so every octave gets the same time. Fades at the ends keep the loop click-free.
+export function createSweepSamples(sampleRate, startHz, endHz, duration) {
+    const length = Math.round(sampleRate * duration);
+    const samples = new Float32Array(length);
+    const ratio = Math.log(endHz / startHz);
+    const fade = Math.round(sampleRate * 0.01);
+
+    for (let i = 0; i < length; i++) {
+        const t = i / sampleRate;
+        const phase = (2 * Math.PI * startHz * duration / ratio) * (Math.exp((t / duration) * ratio) - 1);
+        const envelope = Math.min(1, i / fade, (length - 1 - i) / fade);
+        samples[i] = Math.sin(phase) * envelope;
+    }
+    return samples;
+}
+
+export function createWhiteNoiseSamples(sampleRate, duration = NOISE_DURATION) {
+    const samples = new Float32Array(Math.round(sampleRate * duration));
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] = Math.random() * 2 - 1;
+    }
+    return samples;
+}
+
+// Paul Kellet's filter: white noise shaped to -3 dB per octave, normalised to a peak of 1
+export function createPinkNoiseSamples(sampleRate, duration = NOISE_DURATION) {
+    const samples = new Float32Array(Math.round(sampleRate * duration));
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    let peak = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+        const white = Math.random() * 2 - 1;
+        b0 = 0.99886 * b0 + white * 0.0555179;
+        b1 = 0.99332 * b1 + white * 0.0750759;
+        b2 = 0.96900 * b2 + white * 0.1538520;
+        b3 = 0.86650 * b3 + white * 0.3104856;
+        b4 = 0.55000 * b4 + white * 0.5329522;
+        b5 = -0.7616 * b5 - white * 0.0168980;
+        samples[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+        b6 = white * 0.115926;
+        peak = Math.max(peak, Math.abs(samples[i]));
+    }
+
+    for (let i = 0; i < samples.length; i++) {
+        samples[i] /= peak;
+    }
+    return samples;
+}
+
+// One bar of four beats: a short decaying burst per beat, higher pitched on the downbeat
+export function createClickSamples(sampleRate, bpm) {
+    const beatLength = Math.round((sampleRate * 60) / bpm);
+    const samples = new Float32Array(beatLength * 4);
+    const clickLength = Math.min(beatLength, Math.round(sampleRate * 0.05));
+
+    for (let beat = 0; beat < 4; beat++) {
+        const frequency = beat === 0 ? 1500 : 1000;
+        for (let i = 0; i < clickLength; i++) {
+            const t = i / sampleRate;
+            const envelope = Math.exp(-t / 0.01);
+            const tone = Math.sin(2 * Math.PI * frequency * t);
+            const thump = Math.sin(2 * Math.PI * 60 * t);
+            samples[beat * beatLength + i] = envelope * (0.5 * tone + 0.5 * thump);
+        }
+    }
+    return samples;
+}
+
+// Synthetic analysis source: start() returns a GainNode to connect like any other source
+export class SignalGenerator {
+    constructor() {
+        this.audioContext = null;
+        this.output = null;
+        this.sources = []; // Oscillator / buffer source nodes currently playing
+        this.toneGain = null; // Shares the level between chord tones
+        this.isRunning = false;
+        this.isPaused = false;
+        
+        this.settings = {
+            type: 'sine',
+            frequency: 100, // Hz, the tone or chord root
+            level: DEFAULT_LEVEL,
+            bpm: 120,
+            chord: 'major',
+            sweepRange: [20, 20000], // Hz
+            sweepDuration: 10 // Seconds per sweep
+        };
+        this.noiseBuffers = {}; // Generated once per type and sample rate
+    }
+
+    start(audioContext, settings = {}) {
+        this.stop();
+        
+        this.audioContext = audioContext;
+        this.settings = this.validate({ ...this.settings, ...settings });
+        this.output = audioContext.createGain();
+        this.output.gain.value = this.getGain();
+        this.isPaused = false;
+        
+        this.createSources();
+        this.isRunning = true;
+        return this.output;
+    }
+
+    // Level and tone frequency glide; other changes rebuild the sources
+    update(settings) {
+        const previous = this.settings;
+        this.settings = this.validate({ ...previous, ...settings });
+        if (!this.isRunning) return;
+        
+        const { type, bpm, chord } = this.settings;
+        if (type !== previous.type || bpm !== previous.bpm || chord !== previous.chord) {
+            this.stopSources();
+            this.createSources();
+        } else if (type === 'sine' || type === 'chord') {
+            this.getChordRatios().forEach((ratio, index) => {
+                this.glide(this.sources[index].frequency, this.settings.frequency * ratio);
+            });
+        }
+        
+        if (!this.isPaused) {
+            this.glide(this.output.gain, this.getGain());
+        }
+    }
+
+    validate(settings) {
+        if (!SIGNAL_TYPES[settings.type]) {
+            throw new Error(`Unknown test signal type "${settings.type}"`);
+        }
+        if (!CHORDS[settings.chord]) {
+            throw new Error(`Unknown chord "${settings.chord}"`);
+        }
+        
+        // Not Number(level) || 0: a blank field would become 0 dBFS, the loudest output
+        const level = settings.level === '' || settings.level === null ? NaN : Number(settings.level);
+        
+        return {
+            ...settings,
+            frequency: MathUtils.clamp(Number(settings.frequency) || 100, 20, 20000),
+            level: MathUtils.clamp(Number.isFinite(level) ? level : DEFAULT_LEVEL, -96, 0),
+            bpm: MathUtils.clamp(Number(settings.bpm) || 120, 30, 300)
+        };
+    }
+
+    createSources() {
+        const context = this.audioContext;
+        const { type, bpm, sweepRange, sweepDuration } = this.settings;
+        
+        switch (type) {
+            case 'sine':
+            case 'chord': {
+                // Chord tones share the level so the sum never clips
+                const ratios = this.getChordRatios();
+                this.toneGain = context.createGain();
+                this.toneGain.gain.value = 1 / ratios.length;
+                this.toneGain.connect(this.output);
+                
+                ratios.forEach(ratio => {
+                    const oscillator = context.createOscillator();
+                    oscillator.frequency.value = this.settings.frequency * ratio;
+                    oscillator.connect(this.toneGain);
+                    this.sources.push(oscillator);
+                });
+                break;
+            }
+            case 'sweep':
+                this.sources.push(this.createLoop(createSweepSamples(context.sampleRate, sweepRange[0], sweepRange[1], sweepDuration)));
+                break;
+            case 'white':
+            case 'pink':
+                this.sources.push(this.createLoop(this.getNoiseSamples(type)));
+                break;
+            case 'click':
+                this.sources.push(this.createLoop(createClickSamples(context.sampleRate, bpm)));
+                break;
+        }
+        
+        this.sources.forEach(source => source.start());
+    }
+
+    // Frequency ratios of the tones to play: just the root for a sine
+    getChordRatios() {
+        const { type, chord } = this.settings;
+        const semitones = type === 'chord' ? CHORDS[chord] : [0];
+        return semitones.map(semitone => Math.pow(2, semitone / 12));
+    }
+
+    getNoiseSamples(type) {
+        const key = `${type}:${this.audioContext.sampleRate}`;
+        if (!this.noiseBuffers[key]) {
+            const create = type === 'pink' ? createPinkNoiseSamples : createWhiteNoiseSamples;
+            this.noiseBuffers[key] = create(this.audioContext.sampleRate);
+        }
+        return this.noiseBuffers[key];
+    }
+
+    createLoop(samples) {
+        const buffer = this.audioContext.createBuffer(1, samples.length, this.audioContext.sampleRate);
+        buffer.copyToChannel(samples, 0);
+        
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(this.output);
+        return source;
+    }
+
+    getGain() {
+        return Math.pow(10, this.settings.level / 20);
+    }
+
+    glide(param, value) {
+        param.setTargetAtTime(value, this.audioContext.currentTime, 0.02);
+    }
+
+    // Silence the output without tearing down the sources
+    pause() {
+        if (!this.isRunning) return;
+        this.isPaused = true;
+        this.glide(this.output.gain, 0);
+    }
+
+    resume() {
+        if (!this.isRunning) return;
+        this.isPaused = false;
+        this.glide(this.output.gain, this.getGain());
+    }
+
+    // Short description for the track info, e.g. "Sine 100 Hz, -12 dBFS"
+    describe() {
+        const { type, frequency, level, bpm, chord, sweepRange } = this.settings;
+        const name = SIGNAL_TYPES[type];
+        
+        switch (type) {
+            case 'sine':
+                return `${name} ${frequency} Hz, ${level} dBFS`;
+            case 'chord':
+                return `${chord} chord on ${frequency} Hz, ${level} dBFS`;
+            case 'sweep':
+                return `${name} ${sweepRange[0]}-${sweepRange[1]} Hz, ${level} dBFS`;
+            case 'click':
+                return `${name} at ${bpm} BPM, ${level} dBFS`;
+            default:
+                return `${name}, ${level} dBFS`;
+        }
+    }
+
+    stopSources() {
+        this.sources.forEach(source => {
+            source.stop();
+            source.disconnect();
+        });
+        this.sources = [];
+        
+        if (this.toneGain) {
+            this.toneGain.disconnect();
+            this.toneGain = null;
+        }
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+        
+        this.stopSources();
+        this.output.disconnect();
+        this.output = null;
+        this.isRunning = false;
+        this.isPaused = false;
+    }
+}
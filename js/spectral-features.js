@@ -0,0 +1,134 @@
+import { MathUtils } from './utils.js';
+
+// Per-frame spectral and waveform descriptors, each normalised to 0-1
+export class SpectralFeatureExtractor {
+    constructor({ smoothing = 0, minHz = 20, rolloffPercent = 0.85, maxCrestDb = 20, decibelRange = 70 } = {}) {
+        this.smoothing = smoothing; // 0 = raw values, closer to 1 = slower response
+        this.minHz = minHz; // Lower edge of the log scale used for centroid / rolloff
+        this.rolloffPercent = rolloffPercent; // Share of spectral energy below the rolloff frequency
+        this.maxCrestDb = maxCrestDb; // Crest factor mapped to 1
+        
+        // Byte spectra are in dB (AnalyserNode minDecibels..maxDecibels), moments need linear magnitude
+        this.decibelRange = decibelRange;
+        this.magnitudeTable = new Float32Array(256);
+        for (let i = 1; i < 256; i++) {
+            this.magnitudeTable[i] = Math.pow(10, ((i / 255 - 1) * decibelRange) / 20);
+        }
+        
+        this.features = this.createEmptyFeatures();
+    }
+
+    createEmptyFeatures() {
+        return {
+            centroid: 0, // Brightness, log-frequency position of the spectral centre of mass
+            centroidHz: 0,
+            rolloff: 0,
+            rolloffHz: 0,
+            flatness: 0, // Noisiness, 0 = tonal, 1 = white noise
+            spread: 0,
+            zeroCrossingRate: 0,
+            crest: 0,
+            peak: 0
+        };
+    }
+
+    setSmoothing(smoothing) {
+        this.smoothing = MathUtils.clamp(smoothing, 0, 0.99);
+    }
+
+    // frequencyData / timeData: byte arrays from an AnalyserNode
+    process(frequencyData, timeData, sampleRate) {
+        const nyquist = sampleRate / 2;
+        const binHz = nyquist / frequencyData.length;
+        
+        // Spectral moments over linear magnitudes
+        let total = 0;
+        let weighted = 0;
+        let logSum = 0;
+        for (let i = 0; i < frequencyData.length; i++) {
+            const magnitude = this.toMagnitude(frequencyData[i]);
+            total += magnitude;
+            weighted += magnitude * i * binHz;
+            logSum += Math.log(magnitude + 1e-6);
+        }
+        
+        const centroidHz = total > 0 ? weighted / total : 0;
+        
+        let spreadSum = 0;
+        let cumulative = 0;
+        let rolloffHz = 0;
+        const rolloffTarget = total * this.rolloffPercent;
+        for (let i = 0; i < frequencyData.length; i++) {
+            const magnitude = this.toMagnitude(frequencyData[i]);
+            const hz = i * binHz;
+            spreadSum += magnitude * Math.pow(hz - centroidHz, 2);
+            
+            cumulative += magnitude;
+            if (!rolloffHz && total > 0 && cumulative >= rolloffTarget) {
+                rolloffHz = hz;
+            }
+        }
+        
+        const spreadHz = total > 0 ? Math.sqrt(spreadSum / total) : 0;
+        const arithmeticMean = total / frequencyData.length;
+        const geometricMean = Math.exp(logSum / frequencyData.length);
+        
+        // Waveform descriptors
+        let crossings = 0;
+        let peak = 0;
+        let sumSquares = 0;
+        for (let i = 0; i < timeData.length; i++) {
+            const sample = (timeData[i] - 128) / 128;
+            peak = Math.max(peak, Math.abs(sample));
+            sumSquares += sample * sample;
+            
+            if (i > 0 && (sample >= 0) !== (timeData[i - 1] >= 128)) {
+                crossings++;
+            }
+        }
+        
+        const rms = Math.sqrt(sumSquares / timeData.length);
+        const crestDb = rms > 0 ? 20 * Math.log10(peak / rms) : 0;
+        
+        const raw = {
+            centroid: this.normalizeFrequency(centroidHz, nyquist),
+            centroidHz,
+            rolloff: this.normalizeFrequency(rolloffHz, nyquist),
+            rolloffHz,
+            flatness: arithmeticMean > 0 ? MathUtils.clamp(geometricMean / arithmeticMean, 0, 1) : 0,
+            spread: MathUtils.clamp(spreadHz / (nyquist / 2), 0, 1),
+            zeroCrossingRate: crossings / Math.max(1, timeData.length - 1),
+            crest: MathUtils.clamp(crestDb / this.maxCrestDb, 0, 1),
+            peak
+        };
+        
+        this.features = this.smooth(raw);
+        return this.features;
+    }
+
+    // Byte values use the lookup table, float spectra (AudioWorklet) are converted directly
+    toMagnitude(value) {
+        if (Number.isInteger(value)) return this.magnitudeTable[value];
+        return value > 0 ? Math.pow(10, ((value / 255 - 1) * this.decibelRange) / 20) : 0;
+    }
+
+    // Position of a frequency on a log scale between minHz and Nyquist
+    normalizeFrequency(hz, nyquist) {
+        if (hz <= this.minHz) return 0;
+        return MathUtils.clamp(Math.log(hz / this.minHz) / Math.log(nyquist / this.minHz), 0, 1);
+    }
+
+    smooth(raw) {
+        if (!this.smoothing) return raw;
+        
+        const smoothed = {};
+        Object.keys(raw).forEach(name => {
+            smoothed[name] = MathUtils.lerp(raw[name], this.features[name], this.smoothing);
+        });
+        return smoothed;
+    }
+
+    reset() {
+        this.features = this.createEmptyFeatures();
+    }
+}
@@ -0,0 +1,80 @@
+import { MathUtils } from './utils.js';
+
+// Balance, phase correlation and mid/side levels from a pair of channel buffers
+export class StereoMeter {
+    constructor({ smoothing = 0.8 } = {}) {
+        this.smoothing = smoothing; // Meter ballistics, 0 = raw per-frame values
+        this.silenceLevel = 1e-4; // RMS below which the meters fall back to their rest values
+        this.state = this.createEmptyState();
+    }
+
+    createEmptyState() {
+        return {
+            left: 0, // RMS level per channel
+            right: 0,
+            balance: 0, // -1 = hard left, 1 = hard right
+            correlation: 1, // 1 = mono, 0 = unrelated, -1 = out of phase
+            mid: 0, // RMS of (L + R) / 2
+            side: 0, // RMS of (L - R) / 2
+            width: 0 // Side share of the signal, 0 = mono, 1 = fully out of phase
+        };
+    }
+
+    // left / right: Float32Array time-domain samples in the -1..1 range
+    process(left, right) {
+        const length = Math.min(left.length, right.length);
+        let sumLeft = 0;
+        let sumRight = 0;
+        let sumProduct = 0;
+        let sumMid = 0;
+        let sumSide = 0;
+        
+        for (let i = 0; i < length; i++) {
+            const l = left[i];
+            const r = right[i];
+            const mid = (l + r) / 2;
+            const side = (l - r) / 2;
+            
+            sumLeft += l * l;
+            sumRight += r * r;
+            sumProduct += l * r;
+            sumMid += mid * mid;
+            sumSide += side * side;
+        }
+        
+        const raw = this.createEmptyState();
+        if (length > 0) {
+            raw.left = Math.sqrt(sumLeft / length);
+            raw.right = Math.sqrt(sumRight / length);
+            raw.mid = Math.sqrt(sumMid / length);
+            raw.side = Math.sqrt(sumSide / length);
+        }
+        
+        if (raw.left + raw.right > this.silenceLevel) {
+            raw.balance = (raw.right - raw.left) / (raw.right + raw.left);
+            raw.width = raw.side / (raw.mid + raw.side);
+        }
+        
+        const energy = Math.sqrt(sumLeft * sumRight);
+        if (energy > this.silenceLevel * this.silenceLevel * length) {
+            raw.correlation = MathUtils.clamp(sumProduct / energy, -1, 1);
+        }
+        
+        this.state = this.smooth(raw);
+        return this.state;
+    }
+
+    smooth(raw) {
+        if (!this.smoothing) return raw;
+        
+        const smoothed = {};
+        Object.keys(raw).forEach(name => {
+            smoothed[name] = MathUtils.lerp(raw[name], this.state[name], this.smoothing);
+        });
+        return smoothed;
+    }
+
+    reset() {
+        this.state = this.createEmptyState();
+    }
+}
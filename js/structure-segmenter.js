@@ -0,0 +1,167 @@
+// Splits a pre-analysed track into labelled sections from novelty in energy and timbre
+export class StructureSegmenter {
+    constructor() {
+        this.blockDuration = 0.5; // Seconds of frames averaged into one feature vector
+        this.kernelSize = 16; // Blocks on each side of the novelty kernel (~8 s)
+        this.minSectionDuration = 8; // Seconds
+        this.noveltyThreshold = 0.5; // Standard deviations above the mean novelty
+    }
+
+    // features: { energy, centroid, low, mid, high } Float32Arrays at frameRate
+    segment(features, frameRate, duration) {
+        const blocks = this.buildBlocks(features, frameRate);
+        if (blocks.length < 4) {
+            return this.labelSections([{ start: 0, end: duration }], features, frameRate);
+        }
+        
+        const novelty = this.computeNovelty(blocks);
+        const boundaries = this.pickBoundaries(novelty);
+        
+        const times = [0, ...boundaries.map(block => block * this.blockDuration), duration];
+        const sections = [];
+        for (let i = 0; i < times.length - 1; i++) {
+            sections.push({ start: times[i], end: times[i + 1] });
+        }
+        
+        return this.labelSections(sections, features, frameRate);
+    }
+
+    // Average frame features into blocks and z-score each dimension
+    buildBlocks(features, frameRate) {
+        const names = ['energy', 'centroid', 'low', 'mid', 'high'];
+        const framesPerBlock = Math.max(1, Math.round(frameRate * this.blockDuration));
+        const frameCount = features.energy.length;
+        const blocks = [];
+        
+        for (let start = 0; start < frameCount; start += framesPerBlock) {
+            const end = Math.min(frameCount, start + framesPerBlock);
+            blocks.push(names.map(name => {
+                let sum = 0;
+                for (let i = start; i < end; i++) {
+                    sum += features[name][i];
+                }
+                return sum / (end - start);
+            }));
+        }
+        
+        for (let d = 0; d < names.length; d++) {
+            const mean = blocks.reduce((sum, block) => sum + block[d], 0) / blocks.length;
+            const std = Math.sqrt(blocks.reduce((sum, block) => sum + Math.pow(block[d] - mean, 2), 0) / blocks.length) || 1;
+            blocks.forEach(block => {
+                block[d] = (block[d] - mean) / std;
+            });
+        }
+        
+        return blocks;
+    }
+
+    // Foote novelty: correlate a Gaussian-tapered checkerboard kernel along the self-similarity diagonal
+    computeNovelty(blocks) {
+        const count = blocks.length;
+        const size = Math.min(this.kernelSize, Math.floor(count / 2));
+        const similarity = (a, b) => {
+            let distance = 0;
+            for (let d = 0; d < a.length; d++) {
+                distance += Math.pow(a[d] - b[d], 2);
+            }
+            return Math.exp(-distance / a.length);
+        };
+        
+        const novelty = new Float32Array(count);
+        for (let center = 0; center < count; center++) {
+            let sum = 0;
+            for (let i = -size; i < size; i++) {
+                for (let j = -size; j < size; j++) {
+                    const a = center + i;
+                    const b = center + j;
+                    if (a < 0 || b < 0 || a >= count || b >= count) continue;
+                    
+                    // Same-side quadrants add, cross quadrants subtract
+                    const sign = (i < 0) === (j < 0) ? 1 : -1;
+                    const taper = Math.exp(-((i + 0.5) * (i + 0.5) + (j + 0.5) * (j + 0.5)) / (2 * Math.pow(size / 2, 2)));
+                    sum += sign * taper * similarity(blocks[a], blocks[b]);
+                }
+            }
+            novelty[center] = Math.max(0, sum);
+        }
+        
+        return novelty;
+    }
+
+    pickBoundaries(novelty) {
+        const minGap = Math.round(this.minSectionDuration / this.blockDuration);
+        const mean = novelty.reduce((sum, value) => sum + value, 0) / novelty.length;
+        const std = Math.sqrt(novelty.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / novelty.length);
+        const threshold = mean + this.noveltyThreshold * std;
+        
+        // Candidate peaks, strongest first, keeping those far enough from stronger ones
+        const candidates = [];
+        for (let i = minGap; i < novelty.length - minGap; i++) {
+            if (novelty[i] > threshold && novelty[i] >= novelty[i - 1] && novelty[i] >= novelty[i + 1]) {
+                candidates.push(i);
+            }
+        }
+        candidates.sort((a, b) => novelty[b] - novelty[a]);
+        
+        const boundaries = [];
+        candidates.forEach(candidate => {
+            if (boundaries.every(boundary => Math.abs(boundary - candidate) >= minGap)) {
+                boundaries.push(candidate);
+            }
+        });
+        
+        return boundaries.sort((a, b) => a - b);
+    }
+
+    labelSections(sections, features, frameRate) {
+        const energyBetween = (start, end) => {
+            const first = Math.floor(start * frameRate);
+            const last = Math.max(first + 1, Math.min(features.energy.length, Math.floor(end * frameRate)));
+            let sum = 0;
+            for (let i = first; i < last; i++) {
+                sum += features.energy[i] || 0;
+            }
+            return sum / (last - first);
+        };
+        
+        const trackEnergy = energyBetween(0, features.energy.length / frameRate) || 1e-9;
+        
+        sections.forEach(section => {
+            const length = section.end - section.start;
+            section.energy = energyBetween(section.start, section.end) / trackEnergy;
+            
+            // Compare the last quarter with the first quarter to find rising sections
+            const head = energyBetween(section.start, section.start + length / 4);
+            const tail = energyBetween(section.end - length / 4, section.end);
+            section.slope = (tail - head) / trackEnergy;
+        });
+        
+        return sections.map((section, index) => {
+            const previous = sections[index - 1];
+            const next = sections[index + 1];
+            const high = section.energy >= 1.1;
+            const low = section.energy <= 0.85;
+            let label = 'main';
+            
+            if (index === 0 && !high) {
+                label = 'intro';
+            } else if (!next && low) {
+                label = 'outro';
+            } else if (section.slope > 0.25 && next && next.energy > section.energy) {
+                label = 'build';
+            } else if (high && (!previous || previous.energy < section.energy)) {
+                label = 'drop';
+            } else if (low && previous && previous.energy > section.energy) {
+                label = 'breakdown';
+            }
+            
+            return {
+                index,
+                label,
+                start: section.start,
+                end: section.end,
+                relativeEnergy: section.energy // Section energy relative to the track average
+            };
+        });
+    }
+}
@@ -0,0 +1,620 @@
+// Reads embedded tags from audio files: ID3v2 (2.2 - 2.4) and ID3v1 in MP3, Vorbis comments
+// in FLAC and Ogg (Vorbis / Opus), and iTunes-style atoms in MP4 / M4A. Works on raw bytes
+// without Web Audio, so it runs in Node too.
+// Tags: { format, title, artist, album, genre, year, bpm, lyrics, picture: { type, mimeType, data } },
+// with only the fields that were found.
+
+const HEAD_SIZE = 256 * 1024; // Enough to recognise the format and hold most tags
+const OGG_READ_SIZE = 8 * 1024 * 1024; // Ogg has no tag size up front; covers the comment header with cover art
+const FRONT_COVER = 3; // ID3 / FLAC picture type
+
+// ID3v1 genre numbers, also used by ID3v2 "(17)" references and the MP4 'gnre' atom
+const ID3_GENRES = [
+    'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop', 'Jazz', 'Metal',
+    'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock', 'Techno', 'Industrial',
+    'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack', 'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk',
+    'Fusion', 'Trance', 'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+    'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop', 'Instrumental Rock', 'Ethnic', 'Gothic',
+    'Darkwave', 'Techno-Industrial', 'Electronic', 'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta',
+    'Top 40', 'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave', 'Psychedelic', 'Rave', 'Showtunes',
+    'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk', 'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock'
+];
+
+const ID3_TEXT_FRAMES = {
+    TIT2: 'title', TT2: 'title',
+    TPE1: 'artist', TP1: 'artist',
+    TALB: 'album', TAL: 'album',
+    TCON: 'genre', TCO: 'genre',
+    TYER: 'year', TYE: 'year', TDRC: 'year',
+    TBPM: 'bpm', TBP: 'bpm'
+};
+
+const VORBIS_FIELDS = {
+    TITLE: 'title',
+    ARTIST: 'artist',
+    ALBUM: 'album',
+    GENRE: 'genre',
+    DATE: 'year',
+    YEAR: 'year',
+    BPM: 'bpm',
+    LYRICS: 'lyrics',
+    UNSYNCEDLYRICS: 'lyrics'
+};
+
+const MP4_TEXT_ATOMS = {
+    '©nam': 'title',
+    '©ART': 'artist',
+    'aART': 'artist',
+    '©alb': 'album',
+    '©gen': 'genre',
+    '©day': 'year',
+    '©lyr': 'lyrics'
+};
+
+// ISO-BMFF brands (in the 'ftyp' box) of audio files, and of the image formats sharing the container
+const MP4_AUDIO_BRANDS = ['M4A ', 'M4B ', 'M4P ', 'mp41', 'mp42', 'isom', 'iso2', 'dash', '3gp4', '3gp5'];
+const MP4_IMAGE_BRANDS = ['avif', 'avis', 'heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'];
+
+const decoders = {
+    latin1: new TextDecoder('latin1'),
+    utf8: new TextDecoder('utf-8'),
+    utf16le: new TextDecoder('utf-16le'),
+    utf16be: new TextDecoder('utf-16be')
+};
+
+function readAscii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function readUint16(bytes, offset) {
+    return (bytes[offset] << 8) | bytes[offset + 1];
+}
+
+function readUint24(bytes, offset) {
+    return (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+}
+
+function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+}
+
+function readUint32LE(bytes, offset) {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+}
+
+// ID3v2 sizes use 7 bits per byte so they never contain a sync pattern
+function readSyncsafe(bytes, offset) {
+    return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) |
+        ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+}
+
+function toBytes(data) {
+    return data instanceof Uint8Array ? data : new Uint8Array(data);
+}
+
+function sniffImageType(data) {
+    if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+    if (data[0] === 0x89 && readAscii(data, 1, 3) === 'PNG') return 'image/png';
+    if (readAscii(data, 0, 3) === 'GIF') return 'image/gif';
+    if (readAscii(data, 0, 2) === 'BM') return 'image/bmp';
+    return 'image/jpeg';
+}
+
+function decodeBase64(text) {
+    const binary = atob(text.replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+// Keeps the first value of each field
+function setTag(tags, field, value) {
+    if (tags[field] === undefined && value !== undefined && value !== null && value !== '') {
+        tags[field] = value;
+    }
+}
+
+// The front cover wins over any other embedded picture
+function setPicture(tags, picture) {
+    if (!picture || picture.data.length === 0) return;
+    if (!tags.picture || (picture.type === FRONT_COVER && tags.picture.type !== FRONT_COVER)) {
+        const mimeType = picture.mimeType && picture.mimeType.includes('/') ? picture.mimeType.toLowerCase() : sniffImageType(picture.data);
+        tags.picture = { type: picture.type, mimeType, data: picture.data };
+    }
+}
+
+// "(17)", "17" and "(17)Remix" style ID3 genre references
+function resolveGenre(value) {
+    const match = /^\((\d+)\)(.*)$/.exec(value);
+    if (match) return match[2].trim() || ID3_GENRES[Number(match[1])] || value;
+    if (/^\d+$/.test(value)) return ID3_GENRES[Number(value)] || value;
+    return value;
+}
+
+// Trims text, keeps the first year of dates and turns BPM into a number
+function normalizeTags(tags) {
+    Object.keys(tags).forEach(field => {
+        if (typeof tags[field] === 'string') {
+            tags[field] = tags[field].trim();
+            if (tags[field] === '') delete tags[field];
+        }
+    });
+
+    if (tags.genre) {
+        tags.genre = resolveGenre(tags.genre);
+    }
+    if (tags.year !== undefined) {
+        const match = /\d{4}/.exec(String(tags.year));
+        if (match) {
+            tags.year = Number(match[0]);
+        } else {
+            delete tags.year;
+        }
+    }
+    if (tags.bpm !== undefined) {
+        const bpm = Math.round(parseFloat(tags.bpm));
+        if (bpm > 0) {
+            tags.bpm = bpm;
+        } else {
+            delete tags.bpm;
+        }
+    }
+    return tags;
+}
+
+// ID3v2 text encodings: 0 ISO-8859-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+function decodeId3Text(bytes, encoding) {
+    let decoder = decoders.latin1;
+    if (encoding === 1) {
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+            decoder = decoders.utf16be;
+            bytes = bytes.subarray(2);
+        } else {
+            decoder = decoders.utf16le;
+            if (bytes[0] === 0xff && bytes[1] === 0xfe) bytes = bytes.subarray(2);
+        }
+    } else if (encoding === 2) {
+        decoder = decoders.utf16be;
+    } else if (encoding === 3) {
+        decoder = decoders.utf8;
+    }
+    return decoder.decode(bytes).replace(/\0+$/, '');
+}
+
+// Index of the string terminator from offset (one zero byte, or an aligned zero pair in UTF-16)
+function findTerminator(bytes, offset, encoding) {
+    const wide = encoding === 1 || encoding === 2;
+    for (let i = offset; i < bytes.length - (wide ? 1 : 0); i += wide ? 2 : 1) {
+        if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) return i;
+    }
+    return bytes.length;
+}
+
+function skipTerminated(bytes, offset, encoding) {
+    const end = findTerminator(bytes, offset, encoding);
+    return Math.min(bytes.length, end + (encoding === 1 || encoding === 2 ? 2 : 1));
+}
+
+// Undoes the 0xFF 0x00 byte stuffing of unsynchronised tags
+function removeUnsynchronisation(bytes) {
+    const result = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        result[length++] = bytes[i];
+        if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+    }
+    return result.subarray(0, length);
+}
+
+// Total size of the ID3v2 tag at the start of the bytes (header and footer included), or 0
+export function getId3Size(data) {
+    const bytes = toBytes(data);
+    if (bytes.length < 10 || readAscii(bytes, 0, 3) !== 'ID3') return 0;
+    return 10 + readSyncsafe(bytes, 6) + (bytes[5] & 0x10 ? 10 : 0);
+}
+
+function readId3Frame(id, data, version, tags) {
+    const encoding = data[0];
+
+    if (ID3_TEXT_FRAMES[id]) {
+        // ID3v2.4 separates multiple values with zeros; the first one is enough here
+        const text = decodeId3Text(data.subarray(1), encoding).split('\0')[0];
+        setTag(tags, ID3_TEXT_FRAMES[id], text);
+    } else if (id === 'USLT' || id === 'ULT') {
+        // Encoding, language, content descriptor, lyrics
+        const textStart = skipTerminated(data, 4, encoding);
+        setTag(tags, 'lyrics', decodeId3Text(data.subarray(textStart), encoding));
+    } else if (id === 'APIC' || id === 'PIC') {
+        // ID3v2.2 has a three-letter image format where later versions have a MIME type
+        let offset = 1;
+        let mimeType;
+        if (version === 2) {
+            const format = readAscii(data, 1, 3).toLowerCase();
+            mimeType = format === 'jpg' ? 'image/jpeg' : `image/${format}`;
+            offset = 4;
+        } else {
+            const end = findTerminator(data, 1, 0);
+            mimeType = decodeId3Text(data.subarray(1, end), 0);
+            offset = end + 1;
+        }
+        const type = data[offset];
+        offset = skipTerminated(data, offset + 1, encoding);
+        setPicture(tags, { type, mimeType, data: data.subarray(offset) });
+    }
+}
+
+function readId3v2(bytes, tags) {
+    const version = bytes[3];
+    const flags = bytes[5];
+    if (version < 2 || version > 4) return;
+
+    let body = bytes.subarray(10, Math.min(bytes.length, 10 + readSyncsafe(bytes, 6)));
+    if (version < 4 && (flags & 0x80)) {
+        body = removeUnsynchronisation(body);
+    }
+
+    let offset = 0;
+    if (version > 2 && (flags & 0x40)) {
+        offset = version === 4 ? readSyncsafe(body, 0) : readUint32(body, 0) + 4; // Skip the extended header
+    }
+
+    const idLength = version === 2 ? 3 : 4;
+    const headerLength = version === 2 ? 6 : 10;
+
+    while (offset + headerLength <= body.length) {
+        const id = readAscii(body, offset, idLength);
+        if (!/^[A-Z0-9]+$/.test(id)) break; // Padding
+        
+        let size;
+        if (version === 2) {
+            size = readUint24(body, offset + 3);
+        } else if (version === 4) {
+            size = readSyncsafe(body, offset + 4);
+        } else {
+            size = readUint32(body, offset + 4);
+        }
+        const formatFlags = version === 2 ? 0 : body[offset + 9];
+        let data = body.subarray(offset + headerLength, offset + headerLength + size);
+        offset += headerLength + size;
+        
+        // Compressed or encrypted frames are skipped
+        if (version === 3 && (formatFlags & 0xc0)) continue;
+        if (version === 4) {
+            if (formatFlags & 0x0c) continue;
+            if (formatFlags & 0x01) data = data.subarray(4); // Data length indicator
+            if (formatFlags & 0x02) data = removeUnsynchronisation(data);
+        }
+        
+        if (data.length > 0) {
+            readId3Frame(id, data, version, tags);
+        }
+    }
+}
+
+// The 128-byte ID3v1 tag at the very end of an MP3; returns {} when there is none
+export function readId3v1(data) {
+    const bytes = toBytes(data);
+    const tags = {};
+    if (bytes.length < 128) return tags;
+
+    const tag = bytes.subarray(bytes.length - 128);
+    if (readAscii(tag, 0, 3) !== 'TAG') return tags;
+
+    const readField = (start, length) => decodeId3Text(tag.subarray(start, start + length), 0).split('\0')[0];
+    setTag(tags, 'title', readField(3, 30));
+    setTag(tags, 'artist', readField(33, 30));
+    setTag(tags, 'album', readField(63, 30));
+    setTag(tags, 'year', readField(93, 4));
+    setTag(tags, 'genre', ID3_GENRES[tag[127]]);
+    return normalizeTags(tags);
+}
+
+function readFlacPicture(bytes) {
+    let offset = 0;
+    const type = readUint32(bytes, offset);
+    const mimeLength = readUint32(bytes, offset + 4);
+    const mimeType = decoders.latin1.decode(bytes.subarray(offset + 8, offset + 8 + mimeLength));
+    offset += 8 + mimeLength;
+    offset += 4 + readUint32(bytes, offset); // Description
+    offset += 16; // Width, height, colour depth, palette size
+    const length = readUint32(bytes, offset);
+    return { type, mimeType, data: bytes.subarray(offset + 4, offset + 4 + length) };
+}
+
+function readVorbisComments(bytes, tags) {
+    let offset = 4 + readUint32LE(bytes, 0); // Vendor string
+    const count = readUint32LE(bytes, offset);
+    offset += 4;
+
+    for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+        const length = readUint32LE(bytes, offset);
+        const comment = decoders.utf8.decode(bytes.subarray(offset + 4, offset + 4 + length));
+        offset += 4 + length;
+        
+        const separator = comment.indexOf('=');
+        if (separator === -1) continue;
+        const key = comment.slice(0, separator).toUpperCase();
+        const value = comment.slice(separator + 1);
+        
+        if (VORBIS_FIELDS[key]) {
+            setTag(tags, VORBIS_FIELDS[key], value);
+        } else if (key === 'METADATA_BLOCK_PICTURE') {
+            try {
+                setPicture(tags, readFlacPicture(decodeBase64(value)));
+            } catch (error) {
+                console.warn('Skipping unreadable embedded picture:', error);
+            }
+        }
+    }
+}
+
+// End offset of the last FLAC metadata block, walking block headers through readRange(start, end)
+export async function findFlacMetadataEnd(readRange) {
+    let offset = 4;
+    for (;;) {
+        const header = await readRange(offset, offset + 4);
+        if (header.length < 4) return offset;
+        
+        offset += 4 + readUint24(header, 1);
+        if (header[0] & 0x80) return offset;
+    }
+}
+
+function readFlac(bytes, tags) {
+    let offset = 4;
+    while (offset + 4 <= bytes.length) {
+        const header = bytes[offset];
+        const size = readUint24(bytes, offset + 1);
+        const block = bytes.subarray(offset + 4, offset + 4 + size);
+        
+        const type = header & 0x7f;
+        if (type === 4) {
+            readVorbisComments(block, tags);
+        } else if (type === 6) {
+            setPicture(tags, readFlacPicture(block));
+        }
+        
+        offset += 4 + size;
+        if (header & 0x80) break; // Last metadata block
+    }
+}
+
+// Reassembles the first packets of the first logical Ogg stream
+function readOggPackets(bytes, count) {
+    const packets = [];
+    let parts = [];
+    let serial = null;
+    let offset = 0;
+
+    while (packets.length < count && offset + 27 <= bytes.length && readAscii(bytes, offset, 4) === 'OggS') {
+        const pageSerial = readUint32LE(bytes, offset + 14);
+        const segments = bytes[offset + 26];
+        let dataOffset = offset + 27 + segments;
+        if (serial === null) serial = pageSerial;
+        
+        for (let i = 0; i < segments; i++) {
+            const length = bytes[offset + 27 + i];
+            if (pageSerial === serial) {
+                parts.push(bytes.subarray(dataOffset, dataOffset + length));
+                
+                // A segment shorter than 255 bytes ends the packet
+                if (length < 255) {
+                    const packet = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+                    parts.reduce((position, part) => {
+                        packet.set(part, position);
+                        return position + part.length;
+                    }, 0);
+                    packets.push(packet);
+                    parts = [];
+                }
+            }
+            dataOffset += length;
+        }
+        offset = dataOffset;
+    }
+
+    return packets.slice(0, count);
+}
+
+// The second packet holds the comments: Vorbis, Opus or FLAC-in-Ogg headers
+function readOgg(bytes, tags) {
+    const [identification, comments] = readOggPackets(bytes, 2);
+    if (!comments) return;
+
+    if (readAscii(identification, 1, 6) === 'vorbis' && comments[0] === 3) {
+        readVorbisComments(comments.subarray(7), tags);
+    } else if (readAscii(identification, 0, 8) === 'OpusHead' && readAscii(comments, 0, 8) === 'OpusTags') {
+        readVorbisComments(comments.subarray(8), tags);
+    } else if (readAscii(identification, 1, 4) === 'FLAC' && (comments[0] & 0x7f) === 4) {
+        readVorbisComments(comments.subarray(4), tags);
+    }
+}
+
+// Child atoms between start and end: { type, start, end } with start after the header
+function readAtoms(bytes, start, end) {
+    const atoms = [];
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = readUint32(bytes, offset);
+        const type = readAscii(bytes, offset + 4, 4);
+        let headerLength = 8;
+        if (size === 1) {
+            size = readUint32(bytes, offset + 8) * 2 ** 32 + readUint32(bytes, offset + 12); // 64-bit size
+            headerLength = 16;
+        } else if (size === 0) {
+            size = end - offset; // Extends to the end
+        }
+        if (size < headerLength) break;
+        
+        atoms.push({ type, start: offset + headerLength, end: Math.min(offset + size, end) });
+        offset += size;
+    }
+    return atoms;
+}
+
+function findAtom(bytes, start, end, path) {
+    let atom = { start, end };
+    for (const type of path) {
+        atom = readAtoms(bytes, atom.start, atom.end).find(child => child.type === type);
+        if (!atom) return null;
+        
+        // 'meta' is a full box (version and flags first), except in some QuickTime files
+        if (type === 'meta' && readUint32(bytes, atom.start) === 0) {
+            atom = { ...atom, start: atom.start + 4 };
+        }
+    }
+    return atom;
+}
+
+// Position of a top-level atom, walking atom headers through readRange(start, end)
+export async function findMp4Atom(readRange, fileSize, type) {
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+        const header = await readRange(offset, offset + 16);
+        if (header.length < 8) return null;
+        
+        let size = readUint32(header, 0);
+        if (size === 1) {
+            size = readUint32(header, 8) * 2 ** 32 + readUint32(header, 12);
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+        if (size < 8) return null;
+        
+        if (readAscii(header, 4, 4) === type) {
+            return { start: offset, end: Math.min(offset + size, fileSize) };
+        }
+        offset += size;
+    }
+    return null;
+}
+
+function readMp4(bytes, tags) {
+    const list = findAtom(bytes, 0, bytes.length, ['moov', 'udta', 'meta', 'ilst']);
+    if (!list) return;
+
+    readAtoms(bytes, list.start, list.end).forEach(item => {
+        const data = readAtoms(bytes, item.start, item.end).find(child => child.type === 'data');
+        if (!data || data.end - data.start < 8) return;
+        
+        // Data atom: type indicator, locale, then the value
+        const dataType = readUint32(bytes, data.start) & 0xffffff;
+        const value = bytes.subarray(data.start + 8, data.end);
+        
+        if (MP4_TEXT_ATOMS[item.type]) {
+            setTag(tags, MP4_TEXT_ATOMS[item.type], decoders.utf8.decode(value));
+        } else if (item.type === 'gnre' && value.length >= 2) {
+            setTag(tags, 'genre', ID3_GENRES[readUint16(value, 0) - 1]);
+        } else if (item.type === 'tmpo' && value.length >= 2) {
+            setTag(tags, 'bpm', readUint16(value, 0));
+        } else if (item.type === 'covr') {
+            const mimeType = dataType === 14 ? 'image/png' : dataType === 13 ? 'image/jpeg' : null;
+            setPicture(tags, { type: FRONT_COVER, mimeType, data: value });
+        }
+    });
+}
+
+// Whether an ISO-BMFF file is audio (or a video with audio), judged by its major and compatible
+// brands; HEIF / AVIF images are rejected even when they also list a generic brand
+export function isAudioMp4(data) {
+    const bytes = toBytes(data);
+    if (bytes.length < 12 || readAscii(bytes, 4, 4) !== 'ftyp') return false;
+
+    const end = Math.min(readUint32(bytes, 0), bytes.length);
+    const brands = [readAscii(bytes, 8, 4)];
+    for (let offset = 16; offset + 4 <= end; offset += 4) {
+        brands.push(readAscii(bytes, offset, 4));
+    }
+
+    if (brands.some(brand => MP4_IMAGE_BRANDS.includes(brand))) return false;
+    return brands.some(brand => MP4_AUDIO_BRANDS.includes(brand));
+}
+
+// 'id3', 'flac', 'ogg', 'mp4' or null, from the first bytes of a file
+export function detectTagFormat(data) {
+    const bytes = toBytes(data);
+    if (bytes.length < 12) return null;
+    if (readAscii(bytes, 0, 3) === 'ID3') return 'id3';
+    if (readAscii(bytes, 0, 4) === 'fLaC') return 'flac';
+    if (readAscii(bytes, 0, 4) === 'OggS') return 'ogg';
+    if (isAudioMp4(bytes)) return 'mp4';
+    return null;
+}
+
+// Parses the tags in a buffer holding the file (or, for MP4, at least its 'moov' atom).
+// complete: the buffer ends where the file does, so its last 128 bytes may be an ID3v1 tag.
+export function readTags(data, format = detectTagFormat(data), { complete = true } = {}) {
+    const bytes = toBytes(data);
+    const tags = {};
+
+    try {
+        switch (format) {
+            case 'id3':
+                readId3v2(bytes, tags);
+                break;
+            case 'flac':
+                readFlac(bytes, tags);
+                break;
+            case 'ogg':
+                readOgg(bytes, tags);
+                break;
+            case 'mp4':
+                readMp4(bytes, tags);
+                break;
+        }
+    } catch (error) {
+        // Truncated or malformed tags: keep whatever was read before the error
+        console.warn(`Could not read all ${format} tags:`, error);
+    }
+
+    normalizeTags(tags);
+    if (complete && (format === 'id3' || format === null)) {
+        Object.entries(readId3v1(bytes)).forEach(([field, value]) => setTag(tags, field, value));
+    }
+
+    return { format, ...tags };
+}
+
+// Reads only the parts of a File / Blob that hold its tags
+export async function readFileTags(file) {
+    const readRange = async (start, end) => new Uint8Array(await file.slice(start, end).arrayBuffer());
+    const head = await readRange(0, HEAD_SIZE);
+    const format = detectTagFormat(head);
+    let bytes = head;
+
+    switch (format) {
+        case 'id3': {
+            const size = getId3Size(head);
+            if (size > head.length) bytes = await readRange(0, size);
+            break;
+        }
+        case 'flac':
+            bytes = await readRange(0, await findFlacMetadataEnd(readRange));
+            break;
+        case 'ogg':
+            if (file.size > head.length) bytes = await readRange(0, OGG_READ_SIZE);
+            break;
+        case 'mp4': {
+            // 'moov' often sits after the audio data, so only its header chain is walked
+            const moov = await findMp4Atom(readRange, file.size, 'moov');
+            if (!moov) return { format };
+            bytes = await readRange(moov.start, moov.end);
+            break;
+        }
+    }
+
+    const tags = readTags(bytes, format, { complete: bytes.length >= file.size });
+
+    // An ID3v1 tag sits in the last 128 bytes of an MP3
+    if ((format === 'id3' || format === null) && file.size > bytes.length) {
+        const tail = await readRange(file.size - 128, file.size);
+        Object.entries(readId3v1(tail)).forEach(([field, value]) => {
+            if (tags[field] === undefined) tags[field] = value;
+        });
+    }
+
+    return tags;
+}
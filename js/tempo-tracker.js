@@ -0,0 +1,274 @@
+import { MathUtils } from './utils.js';
+
+// Estimates tempo from an onset-strength envelope and predicts the beat grid
+export class TempoTracker {
+    constructor() {
+        // Tempo search range
+        this.minBpm = 70;
+        this.maxBpm = 180;
+        this.preferredBpm = 120; // Centre of the tempo prior, resolves half/double tempo ambiguity
+        
+        // Onset envelope history
+        this.historyLength = 8000; // ms
+        this.envelopeRate = 50; // Hz, envelope is resampled to a fixed rate before autocorrelation
+        this.samples = [];
+        
+        // Tempo estimation
+        this.estimateInterval = 500; // ms between re-estimates
+        this.lastEstimateTime = 0;
+        this.tempoTolerance = 0.04; // Relative difference treated as the same tempo
+        this.tempoChangeCount = 3; // Consecutive agreeing estimates required to switch tempo
+        this.candidateBpm = 0;
+        this.candidateHits = 0;
+        
+        // Phase locking
+        this.phaseCorrection = 0.2; // Fraction of the onset timing error applied per onset
+        this.phaseWindow = 0.25; // Onsets further than this (in beats) from the grid are ignored
+        this.onsetThreshold = 1.5; // Standard deviations above the mean flux
+        this.onsetMean = 0;
+        this.onsetVariance = 0;
+        this.previousStrength = 0;
+        this.lastOnsetTime = 0;
+        
+        // Output state
+        this.bpm = 0;
+        this.confidence = 0;
+        this.beatInterval = 0; // ms
+        this.nextBeatTime = 0;
+        this.phase = 0;
+    }
+
+    update(onsetStrength, time) {
+        this.samples.push({ time, value: onsetStrength });
+        while (this.samples.length && time - this.samples[0].time > this.historyLength) {
+            this.samples.shift();
+        }
+        
+        if (time - this.lastEstimateTime >= this.estimateInterval) {
+            this.lastEstimateTime = time;
+            this.estimateTempo(time);
+        }
+        
+        const onBeat = this.advanceGrid(time);
+        
+        if (this.isOnset(onsetStrength, time)) {
+            this.correctPhase(time);
+        }
+        
+        return this.getState(time, onBeat);
+    }
+
+    estimateTempo(time) {
+        const envelope = this.resampleEnvelope(time);
+        if (!envelope) return;
+        
+        const minLag = Math.floor((60 * this.envelopeRate) / this.maxBpm);
+        const maxLag = Math.ceil((60 * this.envelopeRate) / this.minBpm);
+        const correlation = this.autocorrelate(envelope, maxLag * 2);
+        if (correlation[0] <= 0) return;
+        
+        // Score each lag, reinforcing with its double so the true period wins over its harmonics
+        let bestLag = 0;
+        let bestScore = 0;
+        const scores = new Array(maxLag + 1).fill(0);
+        
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const bpm = (60 * this.envelopeRate) / lag;
+            const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / this.preferredBpm) / 0.9, 2));
+            scores[lag] = (correlation[lag] + 0.5 * correlation[lag * 2]) * prior;
+            
+            if (scores[lag] > bestScore) {
+                bestScore = scores[lag];
+                bestLag = lag;
+            }
+        }
+        
+        if (!bestLag) return;
+        
+        // Parabolic interpolation around the peak for sub-lag precision
+        let lag = bestLag;
+        if (bestLag > minLag && bestLag < maxLag) {
+            const a = scores[bestLag - 1];
+            const b = scores[bestLag];
+            const c = scores[bestLag + 1];
+            const denominator = a - 2 * b + c;
+            if (denominator !== 0) {
+                lag += MathUtils.clamp(0.5 * (a - c) / denominator, -0.5, 0.5);
+            }
+        }
+        
+        const estimate = (60 * this.envelopeRate) / lag;
+        const strength = MathUtils.clamp(correlation[bestLag] / correlation[0], 0, 1);
+        this.applyEstimate(estimate, strength, time);
+    }
+
+    applyEstimate(estimate, strength, time) {
+        if (!this.bpm) {
+            this.setTempo(estimate, time);
+            this.confidence = strength;
+            return;
+        }
+        
+        if (Math.abs(estimate - this.bpm) / this.bpm <= this.tempoTolerance) {
+            // Same tempo, refine it
+            this.setTempo(MathUtils.lerp(this.bpm, estimate, 0.2), time);
+            this.candidateHits = 0;
+            this.confidence = MathUtils.lerp(this.confidence, strength, 0.3);
+            return;
+        }
+        
+        // Different tempo: only switch once it has been seen consistently
+        if (this.candidateBpm && Math.abs(estimate - this.candidateBpm) / this.candidateBpm <= this.tempoTolerance) {
+            this.candidateHits++;
+        } else {
+            this.candidateBpm = estimate;
+            this.candidateHits = 1;
+        }
+        
+        this.confidence *= 0.8;
+        
+        if (this.candidateHits >= this.tempoChangeCount) {
+            this.setTempo(this.candidateBpm, time);
+            this.confidence = strength;
+            this.candidateHits = 0;
+            this.candidateBpm = 0;
+        }
+    }
+
+    setTempo(bpm, time) {
+        this.bpm = bpm;
+        this.beatInterval = 60000 / bpm;
+        
+        // Start the grid on the most recent onset if there is no grid yet
+        if (!this.nextBeatTime) {
+            const anchor = this.lastOnsetTime || time;
+            this.nextBeatTime = anchor + this.beatInterval;
+        }
+    }
+
+    resampleEnvelope(time) {
+        if (this.samples.length < 2) return null;
+        
+        const start = this.samples[0].time;
+        const duration = time - start;
+        
+        // Need at least two periods of the slowest tempo
+        if (duration < (120000 / this.minBpm)) return null;
+        
+        const step = 1000 / this.envelopeRate;
+        const length = Math.floor(duration / step);
+        const envelope = new Float32Array(length);
+        
+        let index = 0;
+        let mean = 0;
+        for (let i = 0; i < length; i++) {
+            const t = start + i * step;
+            while (index < this.samples.length - 2 && this.samples[index + 1].time < t) {
+                index++;
+            }
+            
+            const a = this.samples[index];
+            const b = this.samples[index + 1];
+            const factor = b.time > a.time ? MathUtils.clamp((t - a.time) / (b.time - a.time), 0, 1) : 0;
+            envelope[i] = MathUtils.lerp(a.value, b.value, factor);
+            mean += envelope[i];
+        }
+        
+        // Remove DC so the autocorrelation reflects periodicity, not loudness
+        mean /= length;
+        for (let i = 0; i < length; i++) {
+            envelope[i] = Math.max(0, envelope[i] - mean);
+        }
+        
+        return envelope;
+    }
+
+    autocorrelate(envelope, maxLag) {
+        const correlation = new Float32Array(maxLag + 1);
+        
+        for (let lag = 0; lag <= maxLag && lag < envelope.length; lag++) {
+            let sum = 0;
+            for (let i = lag; i < envelope.length; i++) {
+                sum += envelope[i] * envelope[i - lag];
+            }
+            // Unbiased estimate so long lags are not penalised
+            correlation[lag] = sum / (envelope.length - lag);
+        }
+        
+        return correlation;
+    }
+
+    advanceGrid(time) {
+        if (!this.beatInterval || !this.nextBeatTime) return false;
+        
+        let onBeat = false;
+        while (time >= this.nextBeatTime) {
+            this.nextBeatTime += this.beatInterval;
+            onBeat = true;
+        }
+        
+        this.phase = 1 - (this.nextBeatTime - time) / this.beatInterval;
+        return onBeat;
+    }
+
+    isOnset(strength, time) {
+        // Running mean / variance of the onset envelope
+        const delta = strength - this.onsetMean;
+        this.onsetMean += delta * 0.05;
+        this.onsetVariance = this.onsetVariance * 0.95 + delta * delta * 0.05;
+        
+        const rising = strength > this.previousStrength;
+        this.previousStrength = strength;
+        
+        const threshold = this.onsetMean + this.onsetThreshold * Math.sqrt(this.onsetVariance);
+        const minGap = this.beatInterval ? this.beatInterval * 0.5 : 200;
+        
+        if (rising && strength > threshold && time - this.lastOnsetTime > minGap) {
+            this.lastOnsetTime = time;
+            return true;
+        }
+        
+        return false;
+    }
+
+    correctPhase(time) {
+        if (!this.beatInterval) return;
+        
+        // Error relative to the closest grid line (either the previous or the next beat)
+        const previousBeat = this.nextBeatTime - this.beatInterval;
+        const errorToNext = time - this.nextBeatTime;
+        const errorToPrevious = time - previousBeat;
+        const error = Math.abs(errorToNext) < Math.abs(errorToPrevious) ? errorToNext : errorToPrevious;
+        
+        if (Math.abs(error) <= this.phaseWindow * this.beatInterval) {
+            this.nextBeatTime += error * this.phaseCorrection;
+        }
+    }
+
+    getState(time, onBeat = false) {
+        return {
+            bpm: this.bpm,
+            confidence: this.confidence,
+            phase: this.phase,
+            beatInterval: this.beatInterval,
+            timeToNextBeat: this.nextBeatTime ? Math.max(0, this.nextBeatTime - time) : 0,
+            onBeat
+        };
+    }
+
+    reset() {
+        this.samples = [];
+        this.lastEstimateTime = 0;
+        this.candidateBpm = 0;
+        this.candidateHits = 0;
+        this.onsetMean = 0;
+        this.onsetVariance = 0;
+        this.previousStrength = 0;
+        this.lastOnsetTime = 0;
+        this.bpm = 0;
+        this.confidence = 0;
+        this.beatInterval = 0;
+        this.nextBeatTime = 0;
+        this.phase = 0;
+    }
+}
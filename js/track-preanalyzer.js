@@ -0,0 +1,335 @@
+import { MathUtils } from './utils.js';
+import { TempoTracker } from './tempo-tracker.js';
+import { StructureSegmenter } from './structure-segmenter.js';
+
+// Whole-track analysis results, queried by playback time
+export class AnalysisTimeline {
+    constructor({ duration, frameRate, energy, loudness, onset, bpm, onsets, tempo, sections = [] }) {
+        this.duration = duration;
+        this.frameRate = frameRate; // Frames per second
+        this.energy = energy; // Float32Array, normalised 0-1
+        this.loudness = loudness; // Float32Array, dBFS
+        this.onset = onset; // Float32Array, onset strength
+        this.bpm = bpm; // Float32Array, tempo estimate per frame
+        this.onsets = onsets; // Onset times in seconds
+        this.tempo = tempo; // { bpm, confidence } for the whole track
+        this.sections = sections; // [{ index, label, start, end, relativeEnergy }]
+    }
+
+    get frameCount() {
+        return this.energy.length;
+    }
+
+    // -1 for an empty timeline (a track shorter than one analysis window)
+    getFrameIndex(time) {
+        if (this.frameCount === 0) return -1;
+        return MathUtils.clamp(Math.floor(time * this.frameRate), 0, this.frameCount - 1);
+    }
+
+    getFrameAt(time) {
+        const index = this.getFrameIndex(time);
+        if (index === -1) return null;
+        return {
+            energy: this.energy[index],
+            loudness: this.loudness[index],
+            onset: this.onset[index],
+            bpm: this.bpm[index]
+        };
+    }
+
+    // Mean energy over a time range
+    getAverageEnergy(startTime, endTime) {
+        if (this.frameCount === 0) return 0;
+        
+        const start = this.getFrameIndex(startTime);
+        const end = Math.max(start + 1, this.getFrameIndex(endTime));
+        
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+            sum += this.energy[i];
+        }
+        return sum / (end - start);
+    }
+
+    getSectionAt(time) {
+        return this.sections.find(section => time >= section.start && time < section.end) ||
+               this.sections[this.sections.length - 1] || null;
+    }
+
+    getUpcomingOnsets(time, window = 2) {
+        return this.onsets.filter(onsetTime => onsetTime > time && onsetTime <= time + window);
+    }
+
+    // What is about to happen, relative to what just happened
+    getLookahead(time, window = 4) {
+        const recentEnergy = this.getAverageEnergy(Math.max(0, time - window), time);
+        const upcomingEnergy = this.getAverageEnergy(time, Math.min(this.duration, time + window));
+        const nextOnset = this.onsets.find(onsetTime => onsetTime > time);
+        
+        return {
+            energy: this.frameCount > 0 ? this.energy[this.getFrameIndex(time)] : 0,
+            upcomingEnergy,
+            trend: upcomingEnergy - recentEnergy,
+            timeToNextOnset: nextOnset !== undefined ? nextOnset - time : Infinity,
+            remaining: Math.max(0, this.duration - time)
+        };
+    }
+
+    // Downsampled energy curve, e.g. for drawing behind the progress bar
+    getOverview(points) {
+        const overview = new Float32Array(points);
+        const framesPerPoint = this.frameCount / points;
+        
+        for (let i = 0; i < points; i++) {
+            const start = Math.floor(i * framesPerPoint);
+            const end = Math.max(start + 1, Math.floor((i + 1) * framesPerPoint));
+            
+            let peak = 0;
+            for (let j = start; j < end && j < this.frameCount; j++) {
+                peak = Math.max(peak, this.energy[j]);
+            }
+            overview[i] = peak;
+        }
+        
+        return overview;
+    }
+}
+
+// Decodes a whole file and analyses it ahead of playback using an OfflineAudioContext
+export class TrackPreAnalyzer {
+    constructor() {
+        this.sampleRate = 22050; // Analysis rate, plenty for energy / onset / tempo
+        this.fftSize = 2048;
+        this.hopSize = 512; // ~43 frames per second
+        this.currentJob = null;
+        this.segmenter = new StructureSegmenter();
+    }
+
+    async analyzeFile(file, onProgress = () => {}) {
+        this.cancel();
+        
+        const job = { cancelled: false };
+        this.currentJob = job;
+        
+        try {
+            const arrayBuffer = await file.arrayBuffer();
+            const buffer = await this.decode(arrayBuffer);
+            if (job.cancelled) return null;
+            
+            const frames = await this.renderFrames(buffer, job, onProgress);
+            if (job.cancelled) return null;
+            
+            return this.buildTimeline(frames, buffer.duration);
+        } finally {
+            if (this.currentJob === job) {
+                this.currentJob = null;
+            }
+        }
+    }
+
+    cancel() {
+        if (this.currentJob) {
+            this.currentJob.cancelled = true;
+            this.currentJob = null;
+        }
+    }
+
+    decode(arrayBuffer) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const context = new OfflineContext(1, 1, this.sampleRate);
+        return context.decodeAudioData(arrayBuffer);
+    }
+
+    async renderFrames(buffer, job, onProgress) {
+        const OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        const length = Math.ceil(buffer.duration * this.sampleRate);
+        const context = new OfflineContext(1, length, this.sampleRate);
+        
+        // Mono mixdown at the analysis rate
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        
+        const analyser = context.createAnalyser();
+        analyser.fftSize = this.fftSize;
+        analyser.smoothingTimeConstant = 0;
+        
+        source.connect(analyser);
+        analyser.connect(context.destination);
+        
+        const spectrum = new Float32Array(analyser.frequencyBinCount);
+        const magnitudes = new Float32Array(analyser.frequencyBinCount);
+        const previousMagnitudes = new Float32Array(analyser.frequencyBinCount);
+        const samples = new Float32Array(this.fftSize);
+        
+        const frameCount = Math.max(0, Math.floor((length - this.fftSize) / this.hopSize));
+        const frames = {
+            rms: new Float32Array(frameCount),
+            flux: new Float32Array(frameCount),
+            centroid: new Float32Array(frameCount),
+            low: new Float32Array(frameCount),
+            mid: new Float32Array(frameCount),
+            high: new Float32Array(frameCount)
+        };
+        const binHz = this.sampleRate / this.fftSize;
+        const progressStep = Math.max(1, Math.floor(frameCount / 100));
+        
+        // Capture one analysis frame each time a hop of audio has been rendered. Each frame
+        // schedules the next suspend, so a cancelled job renders the rest without stopping.
+        const captureFrame = i => {
+            const time = (this.fftSize + i * this.hopSize) / this.sampleRate;
+            
+            context.suspend(time).then(() => {
+                if (!job.cancelled) {
+                    analyser.getFloatTimeDomainData(samples);
+                    analyser.getFloatFrequencyData(spectrum);
+                    
+                    for (let k = 0; k < spectrum.length; k++) {
+                        magnitudes[k] = Math.pow(10, spectrum[k] / 20);
+                    }
+                    
+                    frames.rms[i] = this.calculateRms(samples);
+                    frames.flux[i] = i > 0 ? this.calculateFlux(magnitudes, previousMagnitudes) : 0;
+                    this.calculateTimbre(magnitudes, binHz, frames, i);
+                    previousMagnitudes.set(magnitudes);
+                    
+                    if (i % progressStep === 0) {
+                        onProgress(i / frameCount);
+                    }
+                    if (i + 1 < frameCount) {
+                        captureFrame(i + 1);
+                    }
+                }
+                context.resume();
+            });
+        };
+        if (frameCount > 0) {
+            captureFrame(0);
+        }
+        
+        source.start(0);
+        await context.startRendering();
+        onProgress(1);
+        
+        return frames;
+    }
+
+    calculateRms(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            sum += samples[i] * samples[i];
+        }
+        return Math.sqrt(sum / samples.length);
+    }
+
+    // Positive change in linear magnitude between two spectra
+    calculateFlux(magnitudes, previousMagnitudes) {
+        let flux = 0;
+        for (let i = 0; i < magnitudes.length; i++) {
+            const diff = magnitudes[i] - previousMagnitudes[i];
+            if (diff > 0) flux += diff;
+        }
+        return flux;
+    }
+
+    // Spectral centroid (0-1 of Nyquist) and the share of energy in low / mid / high ranges
+    calculateTimbre(magnitudes, binHz, frames, index) {
+        let total = 0;
+        let weighted = 0;
+        let low = 0;
+        let mid = 0;
+        let high = 0;
+        
+        for (let i = 0; i < magnitudes.length; i++) {
+            const power = magnitudes[i] * magnitudes[i];
+            const hz = i * binHz;
+            
+            total += power;
+            weighted += power * i;
+            if (hz < 250) low += power;
+            else if (hz < 4000) mid += power;
+            else high += power;
+        }
+        
+        if (total <= 0) return;
+        
+        frames.centroid[index] = weighted / total / magnitudes.length;
+        frames.low[index] = low / total;
+        frames.mid[index] = mid / total;
+        frames.high[index] = high / total;
+    }
+
+    buildTimeline(frames, duration) {
+        const frameRate = this.sampleRate / this.hopSize;
+        const frameCount = frames.rms.length;
+        
+        const energy = new Float32Array(frameCount);
+        const loudness = new Float32Array(frameCount);
+        const onset = new Float32Array(frameCount);
+        const bpm = new Float32Array(frameCount);
+        
+        let maxRms = 1e-9;
+        let maxFlux = 1e-9;
+        for (let i = 0; i < frameCount; i++) {
+            maxRms = Math.max(maxRms, frames.rms[i]);
+            maxFlux = Math.max(maxFlux, frames.flux[i]);
+        }
+        
+        const tempoTracker = new TempoTracker();
+        let tempoState = tempoTracker.getState(0);
+        
+        for (let i = 0; i < frameCount; i++) {
+            energy[i] = frames.rms[i] / maxRms;
+            loudness[i] = 20 * Math.log10(Math.max(frames.rms[i], 1e-9));
+            onset[i] = frames.flux[i] / maxFlux;
+            
+            tempoState = tempoTracker.update(onset[i], (i / frameRate) * 1000);
+            bpm[i] = tempoState.bpm;
+        }
+        
+        const sections = this.segmenter.segment({
+            energy,
+            centroid: frames.centroid,
+            low: frames.low,
+            mid: frames.mid,
+            high: frames.high
+        }, frameRate, duration);
+        
+        return new AnalysisTimeline({
+            duration,
+            frameRate,
+            energy,
+            loudness,
+            onset,
+            bpm,
+            onsets: this.pickOnsets(onset, frameRate),
+            tempo: { bpm: tempoState.bpm, confidence: tempoState.confidence },
+            sections
+        });
+    }
+
+    // Peak picking against a local mean so quiet passages still register onsets
+    pickOnsets(onset, frameRate) {
+        const times = [];
+        const window = Math.round(frameRate * 0.25);
+        const minGap = Math.round(frameRate * 0.1);
+        let lastPeak = -minGap;
+        
+        for (let i = 1; i < onset.length - 1; i++) {
+            if (onset[i] <= onset[i - 1] || onset[i] < onset[i + 1]) continue;
+            
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, i - window); j <= Math.min(onset.length - 1, i + window); j++) {
+                sum += onset[j];
+                count++;
+            }
+            
+            if (onset[i] > (sum / count) * 1.5 + 0.02 && i - lastPeak >= minGap) {
+                times.push(i / frameRate);
+                lastPeak = i;
+            }
+        }
+        
+        return times;
+    }
+}
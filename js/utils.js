@@ -26,6 +26,47 @@ export const ColorUtils = {
         return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
     },
 
+    // Convert RGB to HSL (h in degrees, s and l in percent)
+    rgbToHsl(r, g, b) {
+        r /= 255;
+        g /= 255;
+        b /= 255;
+        
+        const max = Math.max(r, g, b);
+        const min = Math.min(r, g, b);
+        const l = (max + min) / 2;
+        let h = 0;
+        let s = 0;
+        
+        if (max !== min) {
+            const d = max - min;
+            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+            
+            if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+            else if (max === g) h = (b - r) / d + 2;
+            else h = (r - g) / d + 4;
+            h *= 60;
+        }
+        
+        return [h, s * 100, l * 100];
+    },
+
+    // Hue for a key, following the circle of fifths so related keys get neighbouring colours
+    keyToHue(tonic, mode = 'major') {
+        // Minor keys share the hue of their relative major
+        const majorTonic = mode === 'minor' ? (tonic + 3) % 12 : tonic;
+        const fifths = (majorTonic * 7) % 12;
+        return fifths * 30;
+    },
+
+    // Rotate every colour of a palette around the hue wheel
+    rotatePalette(palette, degrees) {
+        return palette.map(([r, g, b]) => {
+            const [h, s, l] = this.rgbToHsl(r, g, b);
+            return this.hslToRgb((h + degrees + 360) % 360, s, l);
+        });
+    },
+
     // Generate color palette based on mood
     generateMoodPalette(mood, energy = 0.5) {
         const palettes = {
@@ -79,6 +120,11 @@ export const ColorUtils = {
         ];
     },
 
+    // Interpolate every colour of two palettes (the target palette's colours repeat if it is shorter)
+    blendPalettes(from, to, factor) {
+        return from.map((color, index) => this.interpolateColor(color, to[index % to.length], factor));
+    },
+
     // Convert RGB to CSS string
     rgbToCss(rgb, alpha = 1) {
         return `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${alpha})`;
@@ -97,6 +143,25 @@ export const MathUtils = {
         return (value - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
     },
 
+    // Clamp value to a range
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    },
+
+    // Linearly resample an array to count values (end points kept)
+    resample(values, count) {
+        if (values.length === 0) return new Array(count).fill(0);
+        
+        const resampled = [];
+        for (let i = 0; i < count; i++) {
+            const position = (i / Math.max(1, count - 1)) * (values.length - 1);
+            const lower = Math.floor(position);
+            const upper = Math.min(lower + 1, values.length - 1);
+            resampled.push(this.lerp(values[lower], values[upper], position - lower));
+        }
+        return resampled;
+    },
+
     // Smooth step function
     smoothStep(edge0, edge1, x) {
         const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
@@ -184,6 +249,21 @@ export const AudioUtils = {
         return new AudioContext();
     },
 
+    // List available audio input devices (labels are empty until permission is granted)
+    async getAudioInputDevices() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) {
+            return [];
+        }
+        
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audioinput')
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Input ${index + 1}`
+            }));
+    },
+
     // Detect beat using onset detection
     detectBeat(frequencyData, threshold = 0.3) {
         const sum = frequencyData.reduce((acc, val) => acc + val, 0);
@@ -206,48 +286,123 @@ export const AudioUtils = {
         return (maxIndex * sampleRate) / fftSize;
     },
 
-    // Analyze frequency bands
-    analyzeFrequencyBands(frequencyData) {
-        const bands = {
-            bass: 0,
-            lowMid: 0,
-            mid: 0,
-            highMid: 0,
-            treble: 0
-        };
-        
-        const bassEnd = Math.floor(frequencyData.length * 0.1);
-        const lowMidEnd = Math.floor(frequencyData.length * 0.25);
-        const midEnd = Math.floor(frequencyData.length * 0.5);
-        const highMidEnd = Math.floor(frequencyData.length * 0.75);
+    // Default frequency bands in Hz
+    defaultFrequencyBands: {
+        bass: { minHz: 20, maxHz: 250 },
+        lowMid: { minHz: 250, maxHz: 500 },
+        mid: { minHz: 500, maxHz: 2000 },
+        highMid: { minHz: 2000, maxHz: 6000 },
+        treble: { minHz: 6000, maxHz: 20000 }
+    },
+
+    // Average level (0-1) of the FFT bins between two frequencies
+    getFrequencyRangeLevel(frequencyData, sampleRate, fftSize, minHz, maxHz) {
+        const binHz = sampleRate / fftSize;
+        const startBin = MathUtils.clamp(Math.floor(minHz / binHz), 0, frequencyData.length - 1);
+        const endBin = MathUtils.clamp(Math.ceil(maxHz / binHz), startBin + 1, frequencyData.length);
         
-        // Calculate average amplitude for each band
-        for (let i = 0; i < bassEnd; i++) {
-            bands.bass += frequencyData[i];
+        let sum = 0;
+        for (let i = startBin; i < endBin; i++) {
+            sum += frequencyData[i];
         }
-        bands.bass /= bassEnd;
         
-        for (let i = bassEnd; i < lowMidEnd; i++) {
-            bands.lowMid += frequencyData[i];
-        }
-        bands.lowMid /= (lowMidEnd - bassEnd);
+        return sum / (endBin - startBin) / 255;
+    },
+
+    // Analyze frequency bands defined in Hz
+    analyzeFrequencyBands(frequencyData, sampleRate, fftSize, bandDefinitions = this.defaultFrequencyBands) {
+        const bands = {};
         
-        for (let i = lowMidEnd; i < midEnd; i++) {
-            bands.mid += frequencyData[i];
-        }
-        bands.mid /= (midEnd - lowMidEnd);
+        Object.entries(bandDefinitions).forEach(([name, band]) => {
+            bands[name] = this.getFrequencyRangeLevel(frequencyData, sampleRate, fftSize, band.minHz, band.maxHz);
+        });
         
-        for (let i = midEnd; i < highMidEnd; i++) {
-            bands.highMid += frequencyData[i];
-        }
-        bands.highMid /= (highMidEnd - midEnd);
+        return bands;
+    }
+};
+
+// Frequency scale utilities
+export const FrequencyUtils = {
+    scales: ['linear', 'log', 'mel', 'octave'],
+
+    // Convert Hz to mel (O'Shaughnessy formula)
+    hzToMel(hz) {
+        return 2595 * Math.log10(1 + hz / 700);
+    },
+
+    // Convert mel to Hz
+    melToHz(mel) {
+        return 700 * (Math.pow(10, mel / 2595) - 1);
+    },
+
+    // Get [lowHz, highHz] edges for each band of a scale.
+    // The octave scale uses fixed fractional-octave bands, so its band count depends on the range
+    // and ignores bandCount; getVisualizationData() resamples them to the requested bar count.
+    getBandEdges(scale, bandCount, minHz, maxHz, bandsPerOctave = 3) {
+        const edges = [];
         
-        for (let i = highMidEnd; i < frequencyData.length; i++) {
-            bands.treble += frequencyData[i];
+        switch (scale) {
+            case 'log': {
+                const logMin = Math.log(Math.max(minHz, 1));
+                const logMax = Math.log(maxHz);
+                for (let i = 0; i < bandCount; i++) {
+                    edges.push([
+                        Math.exp(logMin + (logMax - logMin) * (i / bandCount)),
+                        Math.exp(logMin + (logMax - logMin) * ((i + 1) / bandCount))
+                    ]);
+                }
+                break;
+            }
+            case 'mel': {
+                const melMin = this.hzToMel(minHz);
+                const melMax = this.hzToMel(maxHz);
+                for (let i = 0; i < bandCount; i++) {
+                    edges.push([
+                        this.melToHz(melMin + (melMax - melMin) * (i / bandCount)),
+                        this.melToHz(melMin + (melMax - melMin) * ((i + 1) / bandCount))
+                    ]);
+                }
+                break;
+            }
+            case 'octave': {
+                // Centre frequencies on the base-2 series through 1 kHz
+                const halfBand = Math.pow(2, 1 / (2 * bandsPerOctave));
+                const first = Math.ceil(bandsPerOctave * Math.log2(Math.max(minHz, 1) / 1000));
+                const last = Math.floor(bandsPerOctave * Math.log2(maxHz / 1000));
+                for (let k = first; k <= last; k++) {
+                    const center = 1000 * Math.pow(2, k / bandsPerOctave);
+                    edges.push([center / halfBand, center * halfBand]);
+                }
+                break;
+            }
+            default: {
+                const width = (maxHz - minHz) / bandCount;
+                for (let i = 0; i < bandCount; i++) {
+                    edges.push([minHz + i * width, minHz + (i + 1) * width]);
+                }
+            }
         }
-        bands.treble /= (frequencyData.length - highMidEnd);
         
-        return bands;
+        return edges;
+    },
+
+    // Convert band edges in Hz to FFT bin ranges for a given sample rate and FFT size
+    getBandBins(edges, sampleRate, fftSize) {
+        const binHz = sampleRate / fftSize;
+        const binCount = fftSize / 2;
+        
+        return edges.map(([lowHz, highHz]) => {
+            const low = MathUtils.clamp(lowHz / binHz, 0, binCount - 1);
+            const high = MathUtils.clamp(highHz / binHz, 0, binCount);
+            const start = Math.round(low);
+            const end = Math.max(start + 1, Math.round(high));
+            
+            return {
+                start,
+                end: Math.min(end, binCount),
+                center: MathUtils.clamp((low + high) / 2, 0, binCount - 1)
+            };
+        });
     }
 };
 
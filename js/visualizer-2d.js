@@ -1,4 +1,4 @@
-import { ColorUtils, MathUtils, PerformanceUtils } from './utils.js';
+import { ColorUtils, MathUtils } from './utils.js';
 
 export class Visualizer2D {
     constructor(canvas) {
@@ -7,12 +7,19 @@ export class Visualizer2D {
         this.width = 0;
         this.height = 0;
         
-        // Animation state
-        this.animationLoop = null;
+        // Animation state, frames are driven by the analyzer's subscription
+        this.unsubscribe = null;
         this.isRunning = false;
         
+        // Frequency scale requested from the analyzer
+        this.frequencyScale = { scale: 'log', minHz: 30, maxHz: 16000 };
+        
         // Visual properties
-        this.colorPalette = ColorUtils.generateMoodPalette('neutral');
+        this.basePalette = ColorUtils.generateMoodPalette('neutral');
+        this.colorPalette = this.basePalette;
+        this.keyHue = 0; // Palette rotation for the detected key
+        this.paletteBlend = null; // { from, to, start, duration } while fading to a new mood
+        this.currentKey = null;
         this.currentColorIndex = 0;
         this.colorTransition = 0;
         
@@ -29,10 +36,27 @@ export class Visualizer2D {
         this.beatIntensity = 0;
         this.beatDecay = 0.95;
         this.pulseScale = 1;
+        this.tempoLockConfidence = 0.5; // Minimum tempo confidence before pulsing on the beat grid
+        this.drumIntensity = { kick: 0, snare: 0, hat: 0 };
         
         // Background
         this.backgroundAlpha = 0.1;
         this.gradientAngle = 0;
+        this.anticipation = 0; // Builds up ahead of an energy rise known from pre-analysis
+        
+        // Timbre-driven parameters
+        this.brightness = 0; // Spectral centroid, lightens the background
+        this.noisiness = 0; // Spectral flatness, makes particles jitter
+        
+        // Melody trace drawn through the spiral (fractional MIDI notes, null when unpitched)
+        this.melodyTrace = [];
+        this.maxMelodyTrace = 120; // ~2 seconds
+        this.melodyRange = { low: 40, high: 88 }; // MIDI notes mapped to the spiral radius
+        
+        // Idle state, faded in while the analyzer reports silence
+        this.idleLevel = 0;
+        this.idleFadeIn = 0.02; // Per frame, ~3 seconds
+        this.idleFadeOut = 0.2;
         
         // Performance monitoring
         this.frameCount = 0;
@@ -65,8 +89,39 @@ export class Visualizer2D {
         this.ctx.imageSmoothingQuality = 'high';
     }
 
-    updateColorPalette(mood, energy = 0.5) {
-        this.colorPalette = ColorUtils.generateMoodPalette(mood, energy);
+    // blendTime (ms) fades from the current palette, e.g. over a crossfade between tracks
+    updateColorPalette(mood, energy = 0.5, blendTime = 0) {
+        const palette = ColorUtils.generateMoodPalette(mood, energy);
+        if (blendTime > 0) {
+            this.paletteBlend = { from: this.basePalette, to: palette, start: performance.now(), duration: blendTime };
+            return;
+        }
+        
+        this.paletteBlend = null;
+        this.basePalette = palette;
+        this.colorPalette = ColorUtils.rotatePalette(this.basePalette, this.keyHue);
+    }
+
+    updatePaletteBlend(now) {
+        const blend = this.paletteBlend;
+        if (!blend) return;
+        
+        const progress = Math.min(1, (now - blend.start) / blend.duration);
+        this.basePalette = ColorUtils.blendPalettes(blend.from, blend.to, progress);
+        this.colorPalette = ColorUtils.rotatePalette(this.basePalette, this.keyHue);
+        if (progress >= 1) {
+            this.paletteBlend = null;
+        }
+    }
+
+    // Rotate the palette so the hue follows the key of the music
+    updateKey(key) {
+        const name = key ? key.name : null;
+        if (name === this.currentKey) return;
+        
+        this.currentKey = name;
+        this.keyHue = key ? ColorUtils.keyToHue(key.tonic, key.mode) : 0;
+        this.colorPalette = ColorUtils.rotatePalette(this.basePalette, this.keyHue);
     }
 
     initializeParticles() {
@@ -86,31 +141,32 @@ export class Visualizer2D {
     }
 
     start() {
-        if (this.isRunning) return;
+        if (this.isRunning || !this.audioAnalyzer) return;
         
         this.isRunning = true;
-        this.animationLoop = PerformanceUtils.createAnimationLoop(this.render.bind(this));
-        this.animationLoop.start();
+        this.unsubscribe = this.audioAnalyzer.subscribe(this.render.bind(this));
     }
 
     stop() {
         this.isRunning = false;
-        if (this.animationLoop) {
-            this.animationLoop.stop();
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
         }
     }
 
-    render(timestamp) {
-        if (!this.audioAnalyzer || !this.isRunning) return;
+    render(analysis, timestamp) {
+        if (!this.isRunning) return;
         
         // Update FPS counter
         this.updateFPS(timestamp);
         
-        // Get audio analysis data
-        const analysis = this.audioAnalyzer.analyze();
-        const visualData = this.audioAnalyzer.getVisualizationData(64);
+        // Get audio analysis data, eased towards the idle pattern during silence
+        this.updateIdle(analysis);
+        const visualData = this.applyIdle(this.audioAnalyzer.getVisualizationData(64, this.frequencyScale), timestamp);
         
         // Update visual state
+        this.updatePaletteBlend(performance.now());
         this.updateVisualState(analysis);
         
         // Clear canvas with background
@@ -142,6 +198,23 @@ export class Visualizer2D {
         this.updateTransitions();
     }
 
+    // Ease towards the idle state while the analyzer reports silence, and back out quickly
+    updateIdle(analysis) {
+        const target = analysis.silent ? 1 : 0;
+        this.idleLevel = MathUtils.lerp(this.idleLevel, target, analysis.silent ? this.idleFadeIn : this.idleFadeOut);
+    }
+
+    // Blend the bars towards a slow breathing wave so silence never looks frozen
+    applyIdle(data, time) {
+        if (this.idleLevel < 0.001) return data;
+        
+        const breath = (Math.sin(time * 0.0015) + 1) / 2;
+        return data.map((value, index) => {
+            const ripple = (Math.sin(index * 0.3 + time * 0.001) + 1) / 2;
+            return MathUtils.lerp(value, 0.05 + 0.1 * breath * ripple, this.idleLevel);
+        });
+    }
+
     updateFPS(timestamp) {
         this.frameCount++;
         if (timestamp - this.lastFpsTime >= 1000) {
@@ -156,12 +229,35 @@ export class Visualizer2D {
         if (analysis.beat) {
             this.beatIntensity = 1;
             this.pulseScale = 1.2;
-            // Randomly change mode on strong beats
-            if (Math.random() < 0.1) {
+            // Without known song structure, change mode occasionally on strong beats
+            if (!analysis.section && Math.random() < 0.1) {
                 this.switchMode();
             }
         }
         
+        // A key change flashes and shifts the palette to the new key
+        this.updateKey(analysis.key);
+        if (analysis.keyChanged) {
+            this.beatIntensity = 1;
+            this.pulseScale = 1.2;
+        }
+        
+        // Pulse on the predicted beat grid once the tempo is reliable
+        const tempo = analysis.tempo;
+        if (tempo && tempo.onBeat && tempo.confidence >= this.tempoLockConfidence) {
+            this.pulseScale = Math.max(this.pulseScale, 1.1);
+        }
+        
+        // Track each drum separately so effects respond to the right hit
+        const onsets = analysis.onsets || {};
+        Object.keys(this.drumIntensity).forEach(drum => {
+            const onset = onsets[drum];
+            if (onset && onset.detected) {
+                this.drumIntensity[drum] = Math.max(this.drumIntensity[drum], onset.strength);
+            }
+            this.drumIntensity[drum] *= this.beatDecay;
+        });
+        
         this.beatIntensity *= this.beatDecay;
         this.pulseScale = MathUtils.lerp(this.pulseScale, 1, 0.1);
         
@@ -172,8 +268,27 @@ export class Visualizer2D {
             this.currentColorIndex = (this.currentColorIndex + 1) % this.colorPalette.length;
         }
         
+        // Build anticipation when the pre-analysis says the energy is about to rise
+        const lookahead = analysis.lookahead;
+        const targetAnticipation = lookahead ? MathUtils.clamp(lookahead.trend * 2, 0, 1) : 0;
+        this.anticipation = MathUtils.lerp(this.anticipation, targetAnticipation, 0.05);
+        
+        // Timbre from the analyzer's spectral features
+        const features = analysis.features || {};
+        this.brightness = features.centroid || 0;
+        this.noisiness = features.flatness || 0;
+        
+        // Follow the melody
+        const pitch = analysis.pitch;
+        this.melodyTrace.push(pitch && pitch.midi !== null
+            ? { note: pitch.midi + pitch.cents / 100, clarity: pitch.clarity }
+            : null);
+        if (this.melodyTrace.length > this.maxMelodyTrace) {
+            this.melodyTrace.shift();
+        }
+        
         // Update gradient angle
-        this.gradientAngle += analysis.energy * 0.02;
+        this.gradientAngle += analysis.energy * 0.02 + this.anticipation * 0.01;
     }
 
     renderBackground(analysis) {
@@ -183,8 +298,9 @@ export class Visualizer2D {
             this.width / 2, this.height / 2, Math.max(this.width, this.height)
         );
         
-        const baseColor = this.getCurrentColor();
-        gradient.addColorStop(0, ColorUtils.rgbToCss(baseColor, 0.1 + analysis.energy * 0.1));
+        // Brighter sounds wash the centre of the background towards white
+        const baseColor = ColorUtils.interpolateColor(this.getCurrentColor(), [255, 255, 255], this.brightness * 0.3);
+        gradient.addColorStop(0, ColorUtils.rgbToCss(baseColor, 0.1 + analysis.energy * 0.1 + this.anticipation * 0.15));
         gradient.addColorStop(1, ColorUtils.rgbToCss([0, 0, 20], 0.9));
         
         this.ctx.fillStyle = gradient;
@@ -308,6 +424,10 @@ export class Visualizer2D {
             particle.x += particle.vx + audioInfluence * 2;
             particle.y += particle.vy + audioInfluence * 2;
             
+            // Noisy sounds scatter the particles
+            particle.x += (Math.random() - 0.5) * this.noisiness * 6;
+            particle.y += (Math.random() - 0.5) * this.noisiness * 6;
+            
             // Update life
             particle.life -= particle.decay;
             if (particle.life <= 0) {
@@ -392,33 +512,100 @@ export class Visualizer2D {
             this.ctx.lineWidth = 2;
             this.ctx.stroke();
         }
+        
+        this.renderMelodyTrace(centerX, centerY, maxRadius);
     }
 
-    renderBeatEffects(analysis) {
-        if (this.beatIntensity > 0.1) {
-            // Screen flash effect
-            const flashAlpha = this.beatIntensity * 0.1;
-            const flashColor = this.getCurrentColor();
+    // Recent pitches wound around the centre: higher notes sit further out, gaps where nothing is sung
+    renderMelodyTrace(centerX, centerY, maxRadius) {
+        const { low, high } = this.melodyRange;
+        const color = this.colorPalette[this.colorPalette.length - 1];
+        let drawing = false;
+        let last = null;
+        
+        this.ctx.beginPath();
+        this.melodyTrace.forEach((point, index) => {
+            if (!point) {
+                drawing = false;
+                return;
+            }
             
+            const progress = index / this.maxMelodyTrace;
+            const angle = progress * Math.PI * 4 + this.gradientAngle;
+            const radius = (0.2 + 0.8 * MathUtils.clamp((point.note - low) / (high - low), 0, 1)) * maxRadius;
+            const x = centerX + Math.cos(angle) * radius;
+            const y = centerY + Math.sin(angle) * radius;
+            
+            if (drawing) {
+                this.ctx.lineTo(x, y);
+            } else {
+                this.ctx.moveTo(x, y);
+                drawing = true;
+            }
+            last = { x, y, clarity: point.clarity };
+        });
+        
+        this.ctx.strokeStyle = ColorUtils.rgbToCss(color, 0.9);
+        this.ctx.lineWidth = 3;
+        this.ctx.stroke();
+        
+        // Current note
+        if (last && this.melodyTrace[this.melodyTrace.length - 1]) {
+            this.ctx.beginPath();
+            this.ctx.arc(last.x, last.y, 4 + last.clarity * 6, 0, Math.PI * 2);
+            this.ctx.fillStyle = ColorUtils.rgbToCss(color, last.clarity);
+            this.ctx.fill();
+        }
+    }
+
+    renderBeatEffects(analysis) {
+        const flashColor = this.getCurrentColor();
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
+        
+        // Snare: screen flash
+        if (this.drumIntensity.snare > 0.1) {
+            const flashAlpha = this.drumIntensity.snare * 0.1;
             this.ctx.fillStyle = ColorUtils.rgbToCss(flashColor, flashAlpha);
             this.ctx.fillRect(0, 0, this.width, this.height);
-            
-            // Radial pulse effect
-            const centerX = this.width / 2;
-            const centerY = this.height / 2;
-            const pulseRadius = this.beatIntensity * Math.max(this.width, this.height) * 0.5;
+        }
+        
+        // Kick: radial pulse
+        if (this.drumIntensity.kick > 0.1) {
+            const pulseRadius = this.drumIntensity.kick * Math.max(this.width, this.height) * 0.5;
             
             const gradient = this.ctx.createRadialGradient(
                 centerX, centerY, 0,
                 centerX, centerY, pulseRadius
             );
             
-            gradient.addColorStop(0, ColorUtils.rgbToCss(flashColor, 0.3 * this.beatIntensity));
+            gradient.addColorStop(0, ColorUtils.rgbToCss(flashColor, 0.3 * this.drumIntensity.kick));
             gradient.addColorStop(1, ColorUtils.rgbToCss(flashColor, 0));
             
             this.ctx.fillStyle = gradient;
             this.ctx.fillRect(0, 0, this.width, this.height);
         }
+        
+        // Hi-hat: sparkles around the edge
+        if (this.drumIntensity.hat > 0.1) {
+            const sparkleCount = Math.floor(this.drumIntensity.hat * 24);
+            const radius = Math.min(this.width, this.height) * 0.45;
+            const color = this.colorPalette[this.colorPalette.length - 1];
+            
+            this.ctx.fillStyle = ColorUtils.rgbToCss(color, this.drumIntensity.hat * 0.8);
+            for (let i = 0; i < sparkleCount; i++) {
+                const angle = MathUtils.random(0, Math.PI * 2);
+                const distance = radius * MathUtils.random(0.9, 1.1);
+                
+                this.ctx.beginPath();
+                this.ctx.arc(
+                    centerX + Math.cos(angle) * distance,
+                    centerY + Math.sin(angle) * distance,
+                    MathUtils.random(1, 2.5), 0, Math.PI * 2
+                );
+                this.ctx.fill();
+            }
+        }
     }
 
     updateTransitions() {
@@ -447,17 +634,38 @@ export class Visualizer2D {
         return this.colorPalette[Math.min(index, this.colorPalette.length - 1)];
     }
 
+    setFrequencyScale(options) {
+        this.frequencyScale = { ...this.frequencyScale, ...options };
+    }
+
+    // Accepts an AudioAnalyzer or anything with the same subscription API (e.g. ReplayAnalyzer)
     setAudioAnalyzer(analyzer) {
+        const wasRunning = this.isRunning;
+        this.stop();
+        if (this.removeAnalyzerListeners) {
+            this.removeAnalyzerListeners();
+        }
+        
         this.audioAnalyzer = analyzer;
+        
+        // Change mode where the song moves into a new section
+        this.removeAnalyzerListeners = analyzer.on('sectionChange', () => {
+            if (!this.isRunning) return;
+            this.switchMode();
+            this.beatIntensity = 1;
+        });
+        
+        if (wasRunning) {
+            this.start();
+        }
     }
 
     dispose() {
         this.stop();
-        window.removeEventListener('resize', this.resize.bind(this));
-        
-        if (this.animationLoop) {
-            this.animationLoop.stop();
-            this.animationLoop = null;
+        if (this.removeAnalyzerListeners) {
+            this.removeAnalyzerListeners();
+            this.removeAnalyzerListeners = null;
         }
+        window.removeEventListener('resize', this.resize.bind(this));
     }
 }
\ No newline at end of file
@@ -14,20 +14,44 @@ export class Visualizer3D {
         this.particles = null;
         this.geometryType = 'bars'; // bars, sphere, tunnel, wave
         
-        // Animation
-        this.animationId = null;
+        // Animation, frames are driven by the analyzer's subscription
+        this.unsubscribe = null;
         this.isRunning = false;
         this.time = 0;
         
+        // Frequency scale requested from the analyzer
+        this.frequencyScale = { scale: 'mel', minHz: 30, maxHz: 16000 };
+        
         // Visual properties
-        this.colorPalette = ColorUtils.generateMoodPalette('neutral');
+        this.basePalette = ColorUtils.generateMoodPalette('neutral');
+        this.colorPalette = this.basePalette;
+        this.keyHue = 0; // Palette rotation for the detected key
+        this.paletteBlend = null; // { from, to, start, duration } while fading to a new mood
+        this.currentKey = null;
         this.beatIntensity = 0;
         this.beatDecay = 0.95;
+        this.tempoLockConfidence = 0.5; // Minimum tempo confidence before pulsing on the beat grid
+        this.drumIntensity = { kick: 0, snare: 0, hat: 0 };
         
         // Camera controls
         this.cameraRotation = { x: 0, y: 0 };
         this.targetRotation = { x: 0, y: 0 };
         this.autoRotate = true;
+        this.cameraDistance = 50;
+        this.anticipation = 0; // Builds up ahead of an energy rise known from pre-analysis
+        
+        // Timbre-driven parameters
+        this.brightness = 0; // Spectral centroid, boosts the point lights
+        this.noisiness = 0; // Spectral flatness, shakes the camera
+        
+        // Idle state, faded in while the analyzer reports silence
+        this.idleLevel = 0;
+        this.idleFadeIn = 0.02; // Per frame, ~3 seconds
+        this.idleFadeOut = 0.2;
+        
+        // Stereo image
+        this.stereoBalance = 0; // Pans the scene left / right
+        this.stereoWidth = 0; // Spreads the scene and the lights sideways
         
         this.initialize();
     }
@@ -61,6 +85,10 @@ export class Visualizer3D {
         // Add lights
         this.setupLights();
         
+        // Visual objects live in a group so the whole scene can follow the stereo image
+        this.contentGroup = new THREE.Group();
+        this.scene.add(this.contentGroup);
+        
         // Create initial geometry
         this.createBarsGeometry();
         
@@ -84,9 +112,10 @@ export class Visualizer3D {
         mainLight.shadow.mapSize.height = 2048;
         this.scene.add(mainLight);
         
-        // Point lights for dynamic effects
+        // Point lights for dynamic effects, one per default frequency band
+        this.lightBands = ['bass', 'lowMid', 'mid', 'highMid', 'treble'];
         this.pointLights = [];
-        for (let i = 0; i < 4; i++) {
+        for (let i = 0; i < this.lightBands.length; i++) {
             const light = new THREE.PointLight(0xffffff, 0.5, 100);
             light.position.set(
                 (Math.random() - 0.5) * 100,
@@ -96,6 +125,11 @@ export class Visualizer3D {
             this.pointLights.push(light);
             this.scene.add(light);
         }
+        
+        // Light that follows the melody: height from the pitch, brightness from its clarity
+        this.melodyLight = new THREE.PointLight(0xffffff, 0, 80);
+        this.melodyAngle = 0;
+        this.scene.add(this.melodyLight);
     }
 
     createBarsGeometry() {
@@ -127,7 +161,7 @@ export class Visualizer3D {
             };
             
             this.visualObjects.push(bar);
-            this.scene.add(bar);
+            this.contentGroup.add(bar);
         }
         
         this.geometryType = 'bars';
@@ -162,7 +196,7 @@ export class Visualizer3D {
             };
             
             this.visualObjects.push(sphere);
-            this.scene.add(sphere);
+            this.contentGroup.add(sphere);
         }
         
         this.geometryType = 'sphere';
@@ -203,7 +237,7 @@ export class Visualizer3D {
                 };
                 
                 this.visualObjects.push(cylinder);
-                this.scene.add(cylinder);
+                this.contentGroup.add(cylinder);
             }
         }
         
@@ -237,7 +271,7 @@ export class Visualizer3D {
                 };
                 
                 this.visualObjects.push(cube);
-                this.scene.add(cube);
+                this.contentGroup.add(cube);
             }
         }
         
@@ -248,59 +282,105 @@ export class Visualizer3D {
         this.visualObjects.forEach(obj => {
             if (obj.geometry) obj.geometry.dispose();
             if (obj.material) obj.material.dispose();
-            this.scene.remove(obj);
+            this.contentGroup.remove(obj);
         });
         this.visualObjects = [];
     }
 
     start() {
-        if (this.isRunning) return;
+        if (this.isRunning || !this.audioAnalyzer) return;
         
         this.isRunning = true;
-        this.animate();
+        this.unsubscribe = this.audioAnalyzer.subscribe(this.animate.bind(this));
     }
 
     stop() {
         this.isRunning = false;
-        if (this.animationId) {
-            cancelAnimationFrame(this.animationId);
-            this.animationId = null;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
         }
     }
 
-    animate() {
+    animate(analysis) {
         if (!this.isRunning) return;
         
-        this.animationId = requestAnimationFrame(this.animate.bind(this));
-        
         this.time += 0.016; // ~60fps
         
-        // Get audio analysis
-        if (this.audioAnalyzer) {
-            const analysis = this.audioAnalyzer.analyze();
-            const visualData = this.audioAnalyzer.getVisualizationData(64);
+        this.updatePaletteBlend(performance.now());
+        
+        // Apply the shared analysis
+        if (analysis) {
+            this.updateIdle(analysis);
+            const visualData = this.applyIdle(
+                this.audioAnalyzer.getVisualizationData(64, this.frequencyScale),
+                this.time * 1000
+            );
             
             this.updateVisuals(visualData, analysis);
             this.updateLights(analysis);
+            this.updateStereo(analysis);
+            this.updateMelodyLight(analysis);
             this.updateCamera(analysis);
         }
         
         // Update beat effects
         this.beatIntensity *= this.beatDecay;
+        Object.keys(this.drumIntensity).forEach(drum => {
+            this.drumIntensity[drum] *= this.beatDecay;
+        });
         
         // Render
         this.renderer.render(this.scene, this.camera);
     }
 
+    // Ease towards the idle state while the analyzer reports silence, and back out quickly
+    updateIdle(analysis) {
+        const target = analysis.silent ? 1 : 0;
+        this.idleLevel = MathUtils.lerp(this.idleLevel, target, analysis.silent ? this.idleFadeIn : this.idleFadeOut);
+    }
+
+    // Blend the bars towards a slow breathing wave so silence never looks frozen
+    applyIdle(data, time) {
+        if (this.idleLevel < 0.001) return data;
+        
+        const breath = (Math.sin(time * 0.0015) + 1) / 2;
+        return data.map((value, index) => {
+            const ripple = (Math.sin(index * 0.3 + time * 0.001) + 1) / 2;
+            return MathUtils.lerp(value, 0.05 + 0.1 * breath * ripple, this.idleLevel);
+        });
+    }
+
     updateVisuals(visualData, analysis) {
         if (analysis.beat) {
             this.beatIntensity = 1;
-            // Randomly switch geometry on strong beats
-            if (Math.random() < 0.05) {
+            // Without known song structure, switch geometry occasionally on strong beats
+            if (!analysis.section && Math.random() < 0.05) {
                 this.switchGeometry();
             }
         }
         
+        // A key change pulses the scene and shifts the palette to the new key
+        this.updateKey(analysis.key);
+        if (analysis.keyChanged) {
+            this.beatIntensity = 1;
+        }
+        
+        // Track each drum separately so effects respond to the right hit
+        const onsets = analysis.onsets || {};
+        Object.keys(this.drumIntensity).forEach(drum => {
+            const onset = onsets[drum];
+            if (onset && onset.detected) {
+                this.drumIntensity[drum] = Math.max(this.drumIntensity[drum], onset.strength);
+            }
+        });
+        
+        // Pulse on the predicted beat grid once the tempo is reliable
+        const tempo = analysis.tempo;
+        if (tempo && tempo.onBeat && tempo.confidence >= this.tempoLockConfidence) {
+            this.beatIntensity = Math.max(this.beatIntensity, 0.6);
+        }
+        
         switch (this.geometryType) {
             case 'bars':
                 this.updateBars(visualData, analysis);
@@ -335,10 +415,10 @@ export class Visualizer3D {
                 ...this.colorPalette[index % this.colorPalette.length].map(c => (c / 255) * intensity * 0.3)
             );
             
-            // Beat effect
-            if (analysis.beat && amplitude > 0.7) {
-                bar.position.y += this.beatIntensity * 2;
-            }
+            // Drum hits lift the matching part of the ring: kick on the lows, snare mids, hats highs
+            const position = index / this.visualObjects.length;
+            const drum = position < 0.33 ? 'kick' : position < 0.66 ? 'snare' : 'hat';
+            bar.position.y += this.drumIntensity[drum] * 2;
             
             // Rotation
             bar.rotation.y += amplitude * 0.02;
@@ -439,14 +519,16 @@ export class Visualizer3D {
     }
 
     updateLights(analysis) {
+        const features = analysis.features || {};
+        this.brightness = features.centroid || 0;
+        this.noisiness = features.flatness || 0;
+        
         // Update point lights based on audio
         this.pointLights.forEach((light, index) => {
-            const dataIndex = Math.floor((index / this.pointLights.length) * 4);
             const bands = analysis.bands || {};
-            const bandValues = Object.values(bands);
-            const intensity = bandValues[dataIndex] || 0;
+            const intensity = bands[this.lightBands[index % this.lightBands.length]] || 0;
             
-            light.intensity = 0.3 + intensity * 1.5;
+            light.intensity = (0.3 + intensity * 1.5) * (0.7 + this.brightness * 0.6);
             
             // Color based on frequency band
             const color = this.colorPalette[index % this.colorPalette.length];
@@ -454,33 +536,76 @@ export class Visualizer3D {
             
             // Movement
             const time = this.time + index * 2;
-            light.position.x = Math.cos(time * 0.5) * 30;
+            light.position.x = Math.cos(time * 0.5) * 30 * (1 + this.stereoWidth) + this.stereoBalance * 20;
             light.position.y = Math.sin(time * 0.7) * 20;
             light.position.z = Math.sin(time * 0.3) * 25;
         });
     }
 
+    updateMelodyLight(analysis) {
+        const pitch = analysis.pitch;
+        const voiced = pitch && pitch.midi !== null;
+        
+        this.melodyLight.intensity = MathUtils.lerp(this.melodyLight.intensity, voiced ? pitch.clarity * 2 : 0, 0.1);
+        if (!voiced) return;
+        
+        // Notes from E2 to E6 span the height of the scene
+        const note = pitch.midi + pitch.cents / 100;
+        const targetY = MathUtils.clamp((note - 40) / 48, 0, 1) * 40 - 20;
+        this.melodyLight.position.y = MathUtils.lerp(this.melodyLight.position.y, targetY, 0.2);
+        
+        this.melodyAngle += 0.02;
+        this.melodyLight.position.x = Math.cos(this.melodyAngle) * 20;
+        this.melodyLight.position.z = Math.sin(this.melodyAngle) * 20;
+        
+        const color = this.colorPalette[pitch.midi % this.colorPalette.length];
+        this.melodyLight.color.setRGB(...color.map(c => c / 255));
+    }
+
+    // Pan the scene with the balance and stretch it sideways with the stereo width
+    updateStereo(analysis) {
+        const stereo = analysis.stereo;
+        if (!stereo) return;
+        
+        this.stereoBalance = MathUtils.lerp(this.stereoBalance, stereo.balance, 0.05);
+        this.stereoWidth = MathUtils.lerp(this.stereoWidth, stereo.width, 0.05);
+        
+        const spread = 1 + this.stereoWidth * 0.8;
+        this.contentGroup.position.x = this.stereoBalance * 12;
+        this.contentGroup.scale.x = spread;
+        this.contentGroup.scale.z = spread;
+    }
+
     updateCamera(analysis) {
         if (this.autoRotate) {
             this.targetRotation.y += analysis.energy * 0.01;
             this.targetRotation.x = Math.sin(this.time * 0.5) * 0.1;
         }
         
+        // Pull back ahead of an upcoming energy rise
+        const lookahead = analysis.lookahead;
+        const targetAnticipation = lookahead ? MathUtils.clamp(lookahead.trend * 2, 0, 1) : 0;
+        this.anticipation = MathUtils.lerp(this.anticipation, targetAnticipation, 0.02);
+        const distance = this.cameraDistance + this.anticipation * 15;
+        
         // Smooth camera movement
         this.cameraRotation.x = MathUtils.lerp(this.cameraRotation.x, this.targetRotation.x, 0.02);
         this.cameraRotation.y = MathUtils.lerp(this.cameraRotation.y, this.targetRotation.y, 0.02);
         
         // Apply rotation
-        this.camera.position.x = Math.cos(this.cameraRotation.y) * 50;
-        this.camera.position.z = Math.sin(this.cameraRotation.y) * 50;
+        this.camera.position.x = Math.cos(this.cameraRotation.y) * distance;
+        this.camera.position.z = Math.sin(this.cameraRotation.y) * distance;
         this.camera.position.y = this.cameraRotation.x * 20;
         
         this.camera.lookAt(0, 0, 0);
         
-        // Beat zoom effect
-        if (analysis.beat) {
-            this.camera.position.multiplyScalar(1 - this.beatIntensity * 0.1);
-        }
+        // Kick drum zoom effect
+        this.camera.position.multiplyScalar(1 - this.drumIntensity.kick * 0.1);
+        
+        // Noisy sounds add a slight camera shake
+        const shake = this.noisiness * 0.5;
+        this.camera.position.x += (Math.random() - 0.5) * shake;
+        this.camera.position.y += (Math.random() - 0.5) * shake;
     }
 
     switchGeometry() {
@@ -504,8 +629,43 @@ export class Visualizer3D {
         }
     }
 
-    updateColorPalette(mood, energy = 0.5) {
-        this.colorPalette = ColorUtils.generateMoodPalette(mood, energy);
+    // blendTime (ms) fades from the current palette, e.g. over a crossfade between tracks
+    updateColorPalette(mood, energy = 0.5, blendTime = 0) {
+        const palette = ColorUtils.generateMoodPalette(mood, energy);
+        if (blendTime > 0) {
+            this.paletteBlend = { from: this.basePalette, to: palette, start: performance.now(), duration: blendTime };
+            return;
+        }
+        
+        this.paletteBlend = null;
+        this.basePalette = palette;
+        this.applyPalette();
+    }
+
+    updatePaletteBlend(now) {
+        const blend = this.paletteBlend;
+        if (!blend) return;
+        
+        const progress = Math.min(1, (now - blend.start) / blend.duration);
+        this.basePalette = ColorUtils.blendPalettes(blend.from, blend.to, progress);
+        this.applyPalette();
+        if (progress >= 1) {
+            this.paletteBlend = null;
+        }
+    }
+
+    // Rotate the palette so the hue follows the key of the music
+    updateKey(key) {
+        const name = key ? key.name : null;
+        if (name === this.currentKey) return;
+        
+        this.currentKey = name;
+        this.keyHue = key ? ColorUtils.keyToHue(key.tonic, key.mode) : 0;
+        this.applyPalette();
+    }
+
+    applyPalette() {
+        this.colorPalette = ColorUtils.rotatePalette(this.basePalette, this.keyHue);
         
         // Update existing materials
         this.visualObjects.forEach((obj, index) => {
@@ -594,12 +754,38 @@ export class Visualizer3D {
         });
     }
 
+    setFrequencyScale(options) {
+        this.frequencyScale = { ...this.frequencyScale, ...options };
+    }
+
+    // Accepts an AudioAnalyzer or anything with the same subscription API (e.g. ReplayAnalyzer)
     setAudioAnalyzer(analyzer) {
+        const wasRunning = this.isRunning;
+        this.stop();
+        if (this.removeAnalyzerListeners) {
+            this.removeAnalyzerListeners();
+        }
+        
         this.audioAnalyzer = analyzer;
+        
+        // Switch geometry where the song moves into a new section
+        this.removeAnalyzerListeners = analyzer.on('sectionChange', () => {
+            if (!this.isRunning) return;
+            this.switchGeometry();
+            this.beatIntensity = 1;
+        });
+        
+        if (wasRunning) {
+            this.start();
+        }
     }
 
     dispose() {
         this.stop();
+        if (this.removeAnalyzerListeners) {
+            this.removeAnalyzerListeners();
+            this.removeAnalyzerListeners = null;
+        }
         
         // Dispose of Three.js objects
         this.clearScene();
@@ -0,0 +1,109 @@
+// Decodes RIFF/WAVE files to Float32Array channels without Web Audio, so it runs in Node too.
+// Supports integer PCM (8/16/24/32-bit), IEEE float (32/64-bit) and WAVE_FORMAT_EXTENSIBLE.
+
+const FORMAT_PCM = 0x0001;
+const FORMAT_FLOAT = 0x0003;
+const FORMAT_EXTENSIBLE = 0xfffe;
+
+function readTag(view, offset) {
+    return String.fromCharCode(
+        view.getUint8(offset),
+        view.getUint8(offset + 1),
+        view.getUint8(offset + 2),
+        view.getUint8(offset + 3)
+    );
+}
+
+// Reads one sample, normalised to -1..1
+function readSample(view, offset, format, bitDepth) {
+    if (format === FORMAT_FLOAT) {
+        return bitDepth === 64 ? view.getFloat64(offset, true) : view.getFloat32(offset, true);
+    }
+
+    switch (bitDepth) {
+        case 8:
+            return (view.getUint8(offset) - 128) / 128; // 8-bit WAV is unsigned
+        case 16:
+            return view.getInt16(offset, true) / 32768;
+        case 24: {
+            const value = view.getUint8(offset) | (view.getUint8(offset + 1) << 8) | (view.getInt8(offset + 2) << 16);
+            return value / 8388608;
+        }
+        case 32:
+            return view.getInt32(offset, true) / 2147483648;
+        default:
+            throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+    }
+}
+
+// Quick check on the first bytes, e.g. before choosing a decoder
+export function isWav(arrayBuffer) {
+    if (arrayBuffer.byteLength < 12) return false;
+    const view = new DataView(arrayBuffer);
+    return readTag(view, 0) === 'RIFF' && readTag(view, 8) === 'WAVE';
+}
+
+// Returns { sampleRate, bitDepth, format, channels: Float32Array[], length, duration }
+export function decodeWav(arrayBuffer) {
+    if (!isWav(arrayBuffer)) {
+        throw new Error('Not a WAV file');
+    }
+
+    const view = new DataView(arrayBuffer);
+    let fmt = null;
+    let data = null;
+
+    // Walk the chunks; each is padded to an even length
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const id = readTag(view, offset);
+        const size = view.getUint32(offset + 4, true);
+        const body = offset + 8;
+        
+        if (id === 'fmt ') {
+            fmt = {
+                format: view.getUint16(body, true),
+                channelCount: view.getUint16(body + 2, true),
+                sampleRate: view.getUint32(body + 4, true),
+                blockAlign: view.getUint16(body + 12, true),
+                bitDepth: view.getUint16(body + 14, true)
+            };
+            // Extensible files carry the real format in the first two bytes of the sub-format GUID
+            if (fmt.format === FORMAT_EXTENSIBLE && size >= 26) {
+                fmt.format = view.getUint16(body + 24, true);
+            }
+        } else if (id === 'data') {
+            // Streams written before the length was known may report a size past the end
+            data = { offset: body, size: Math.min(size, view.byteLength - body) };
+        }
+        
+        offset = body + size + (size % 2);
+    }
+
+    if (!fmt) throw new Error('WAV file has no format chunk');
+    if (!data) throw new Error('WAV file has no data chunk');
+    if (fmt.format !== FORMAT_PCM && fmt.format !== FORMAT_FLOAT) {
+        throw new Error(`Unsupported WAV encoding: 0x${fmt.format.toString(16)}`);
+    }
+
+    const { format, channelCount, sampleRate, bitDepth, blockAlign } = fmt;
+    const bytesPerSample = bitDepth / 8;
+    const length = Math.floor(data.size / blockAlign);
+    const channels = Array.from({ length: channelCount }, () => new Float32Array(length));
+
+    for (let i = 0; i < length; i++) {
+        const frameOffset = data.offset + i * blockAlign;
+        for (let channel = 0; channel < channelCount; channel++) {
+            channels[channel][i] = readSample(view, frameOffset + channel * bytesPerSample, format, bitDepth);
+        }
+    }
+
+    return {
+        sampleRate,
+        bitDepth,
+        format: format === FORMAT_FLOAT ? 'float' : 'pcm',
+        channels,
+        length,
+        duration: length / sampleRate
+    };
+}